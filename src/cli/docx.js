@@ -0,0 +1,142 @@
+import JSZip from "jszip";
+
+// ─────────────────────────────────────────────────
+// .docx without Word: read the paragraphs of the main document, headers,
+// footers and notes straight from the package XML, and write single
+// character corrections back without disturbing the markup around them.
+// ─────────────────────────────────────────────────
+
+// parts that hold running text, in the order they are reported
+const TEXT_PARTS = [
+  /^word\/document\.xml$/,
+  /^word\/header\d*\.xml$/,
+  /^word\/footer\d*\.xml$/,
+  /^word\/footnotes\.xml$/,
+  /^word\/endnotes\.xml$/,
+];
+
+// a tag or the text between two tags
+const TOKEN = /<[^>]*>|[^<]+/g;
+
+const ENTITIES = { amp: "&", lt: "<", gt: ">", quot: '"', apos: "'" };
+
+function decode(xmlText) {
+  return xmlText.replace(/&(#x[0-9a-f]+|#\d+|\w+);/gi, (whole, name) => {
+    if (name[0] !== "#") return ENTITIES[name] ?? whole;
+    const hex = name[1] === "x" || name[1] === "X";
+    return String.fromCodePoint(hex ? parseInt(name.slice(2), 16) : Number(name.slice(1)));
+  });
+}
+
+function encode(text) {
+  return text.replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;");
+}
+
+function tagName(token) {
+  return /^<\/?([\w:]+)/.exec(token)?.[1] ?? null;
+}
+
+/**
+ * Split a part's XML into paragraphs of plain text.
+ * Only w:t counts as text, so field codes (w:instrText) and deleted
+ * revisions (w:delText) are skipped and the field result is read.
+ * Tabs and line breaks in the runs become "\t" and "\v", as Word reports them.
+ * @param {string} xml
+ * @returns {{tokens:string[], paragraphs:Array<{text:string, fallback:boolean,
+ *   segments:Array<{token:number, start:number, text:string}>}>}}
+ *   every segment is one w:t node: its index in `tokens` and where it
+ *   starts in the paragraph text. `fallback` paragraphs are the legacy
+ *   copy of a text box (mc:Fallback); fix them, but don't report them twice.
+ */
+export function readParagraphs(xml) {
+  const tokens = xml.match(TOKEN) || [];
+  const paragraphs = [];
+  const open = []; // text box paragraphs nest inside a run of the outer one
+  let inText = false;
+  let inProps = false; // w:pPr, whose w:tabs define tab stops, not tabs
+  let fallback = 0;
+
+  tokens.forEach((token, i) => {
+    const para = open[open.length - 1];
+
+    if (token[0] !== "<") {
+      if (inText && para) {
+        const text = decode(token);
+        para.segments.push({ token: i, start: para.text.length, text });
+        para.text += text;
+      }
+      return;
+    }
+
+    const name = tagName(token);
+    const closing = token[1] === "/";
+    const empty = token.endsWith("/>");
+
+    if (name === "w:p") {
+      if (closing) open.pop();
+      else if (!empty) {
+        const next = { text: "", fallback: fallback > 0, segments: [] };
+        paragraphs.push(next);
+        open.push(next);
+      }
+    } else if (name === "w:t") {
+      inText = !closing && !empty;
+    } else if (name === "mc:Fallback") {
+      if (!empty) fallback += closing ? -1 : 1;
+    } else if (name === "w:pPr") {
+      inProps = !closing && !empty;
+    } else if (para && !closing && !inProps) {
+      if (name === "w:tab") para.text += "\t";
+      else if (name === "w:br" || name === "w:cr") para.text += "\v";
+      else if (name === "w:noBreakHyphen") para.text += "\u2011";
+    }
+  });
+
+  return { tokens, paragraphs };
+}
+
+/**
+ * Replace single characters of a paragraph's text in its part's tokens.
+ * @param {string[]} tokens
+ * @param {{segments:Array}} para — from readParagraphs()
+ * @param {Array<{offset:number, replacement:string}>} edits
+ */
+export function replaceChars(tokens, para, edits) {
+  for (const { offset, replacement } of edits) {
+    const seg = para.segments.find((s) => offset >= s.start && offset < s.start + s.text.length);
+    if (!seg) continue;
+    const at = offset - seg.start;
+    seg.text = seg.text.slice(0, at) + replacement + seg.text.slice(at + 1);
+    tokens[seg.token] = encode(seg.text);
+  }
+}
+
+/**
+ * Open a .docx and read every text part.
+ * @param {Buffer} data
+ * @returns {Promise<{zip:JSZip, parts:Array<{name:string, tokens:string[], paragraphs:Array}>}>}
+ */
+export async function readDocx(data) {
+  const zip = await JSZip.loadAsync(data);
+  const rank = (name) => TEXT_PARTS.findIndex((re) => re.test(name));
+  const names = Object.keys(zip.files)
+    .filter((name) => rank(name) >= 0)
+    .sort((a, b) => rank(a) - rank(b) || a.localeCompare(b, "en", { numeric: true }));
+
+  const parts = [];
+  for (const name of names) {
+    parts.push({ name, ...readParagraphs(await zip.file(name).async("string")) });
+  }
+  return { zip, parts };
+}
+
+/**
+ * Put the (possibly edited) parts back and build the package.
+ * @returns {Promise<Buffer>}
+ */
+export async function writeDocx({ zip, parts }) {
+  for (const { name, tokens } of parts) {
+    zip.file(name, tokens.join(""));
+  }
+  return zip.generateAsync({ type: "nodebuffer", compression: "DEFLATE" });
+}
@@ -0,0 +1,253 @@
+/* global console, process */
+
+import { readFile, writeFile } from "node:fs/promises";
+import path from "node:path";
+
+import { checkText, applyToText, sentenceAt } from "../engine/rules.js";
+import { readDocx, replaceChars, writeDocx } from "./docx.js";
+
+// ─────────────────────────────────────────────────
+// Command-line checker: the add-in's rules on .txt, .md and .docx
+// files, for build pipelines and for testing the rules without Word.
+//
+//   predlogi [--fix] [--format text|json] [--lexicon <file.json>] <file>...
+//
+// Exits with 1 when mismatches are left in the files, 2 on bad usage
+// or a file that can't be read.
+// ─────────────────────────────────────────────────
+const USAGE = `Usage: predlogi [--fix] [--format text|json] [--lexicon <file.json>] <file>...
+
+Checks the prepositions s/z and k/h in .txt, .md and .docx files
+(for .docx: the main text, headers, footers and notes).
+
+  --fix            correct the mismatches in place
+  --format json    print the findings as JSON instead of text
+  --lexicon FILE   read how words are pronounced from a JSON object of
+                   stem → Slovene respelling, e.g. {"chopin": "šopen"}
+  -h, --help       show this help
+
+Exit status: 0 if nothing is left to fix, 1 if mismatches were found,
+2 on bad usage or unreadable files.`;
+
+const FORMATS = new Set(["text", "json"]);
+
+function parseArgs(argv) {
+  const options = { fix: false, format: "text", files: [] };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === "--fix") options.fix = true;
+    else if (arg === "-h" || arg === "--help") options.help = true;
+    else if (arg === "--format") options.format = argv[++i];
+    else if (arg.startsWith("--format=")) options.format = arg.slice("--format=".length);
+    else if (arg === "--lexicon") options.lexicon = argv[++i] ?? "";
+    else if (arg.startsWith("--lexicon=")) options.lexicon = arg.slice("--lexicon=".length);
+    else if (arg.startsWith("-")) throw new Error(`unknown option ${arg}`);
+    else options.files.push(arg);
+  }
+  if (options.lexicon === "") throw new Error("--lexicon needs a file");
+  if (!FORMATS.has(options.format)) throw new Error(`unknown format ${options.format}`);
+  return options;
+}
+
+// Markdown emphasis and code marks stand between a preposition and its
+// word ("s *kratkim*"); hide them behind a character the tokenizer skips,
+// keeping every offset where it was
+function maskMarkdown(text) {
+  return text.replace(/[*_`~]/g, "\u200B");
+}
+
+// a finding as it is printed or serialised
+function record(where, f, fixed) {
+  return {
+    ...where,
+    column: f.offset + 1,
+    original: f.original,
+    replacement: f.ambiguous ? null : f.replacement,
+    ambiguous: Boolean(f.ambiguous),
+    fixed: fixed && !f.ambiguous,
+    reason: f.reason,
+    context: f.context,
+  };
+}
+
+// paragraphs of a text file: runs of lines between blank lines, so a
+// hard-wrapped "k" at the end of one line reads the word on the next
+function textParagraphs(lines) {
+  const paragraphs = [];
+  let current = null;
+  lines.forEach((line, index) => {
+    if (!line.trim()) {
+      current = null;
+      return;
+    }
+    if (!current) paragraphs.push((current = { firstLine: index, lines: [] }));
+    current.lines.push(line);
+  });
+  return paragraphs;
+}
+
+// line (0-based, within the paragraph) and column of an offset into lines.join("\n")
+function lineAndColumn(lines, offset) {
+  let line = 0;
+  while (line < lines.length - 1 && offset > lines[line].length) {
+    offset -= lines[line].length + 1;
+    line++;
+  }
+  return { line, column: offset };
+}
+
+/**
+ * Check (and with `fix`, correct) a plain text or Markdown file
+ * paragraph by paragraph; findings are reported by line and column.
+ * @returns {Promise<{inspected:number, findings:Array}>}
+ */
+async function checkTextFile(file, fix, rules) {
+  const markdown = /\.(md|markdown)$/i.test(file);
+  const lines = (await readFile(file, "utf8")).split("\n");
+  const findings = [];
+  let inspected = 0;
+  let changed = false;
+
+  for (const para of textParagraphs(lines)) {
+    const text = para.lines.join("\n");
+    const result = checkText(markdown ? maskMarkdown(text) : text, rules);
+    inspected += result.inspected;
+    for (const f of result.findings) {
+      const { line, column } = lineAndColumn(para.lines, f.offset);
+      // context from the text as written, not the masked copy
+      const where = { file, line: para.firstLine + line + 1 };
+      findings.push(record(where, { ...f, offset: column, ...sentenceAt(text, f.offset) }, fix));
+    }
+
+    const fixable = result.findings.filter((f) => !f.ambiguous);
+    if (fix && fixable.length) {
+      // single letters change, so the paragraph keeps its lines
+      const fixed = applyToText(text, fixable).split("\n");
+      lines.splice(para.firstLine, fixed.length, ...fixed);
+      changed = true;
+    }
+  }
+
+  if (changed) await writeFile(file, lines.join("\n"), "utf8");
+  return { inspected, findings };
+}
+
+/**
+ * Check (and with `fix`, correct) every text part of a .docx.
+ * @returns {Promise<{inspected:number, findings:Array}>}
+ */
+async function checkDocxFile(file, fix, rules) {
+  const doc = await readDocx(await readFile(file));
+  const findings = [];
+  let inspected = 0;
+  let changed = false;
+
+  for (const { name, tokens, paragraphs } of doc.parts) {
+    let number = 0;
+    for (const para of paragraphs) {
+      const result = checkText(para.text, rules);
+      if (!para.fallback) {
+        number++;
+        inspected += result.inspected;
+        for (const f of result.findings) {
+          findings.push(record({ file, part: name, paragraph: number }, f, fix));
+        }
+      }
+
+      const fixable = result.findings.filter((f) => !f.ambiguous);
+      if (fix && fixable.length) {
+        replaceChars(tokens, para, fixable);
+        changed = true;
+      }
+    }
+  }
+
+  if (changed) await writeFile(file, await writeDocx(doc));
+  return { inspected, findings };
+}
+
+function formatText(f) {
+  const where = f.part
+    ? `${f.file}!${f.part}:${f.paragraph}:${f.column}`
+    : `${f.file}:${f.line}:${f.column}`;
+  const what = f.ambiguous
+    ? `${f.original} ?`
+    : `${f.original} → ${f.replacement}${f.fixed ? " (fixed)" : ""}`;
+  return `${where}: ${what}  ${f.reason}\n    ${f.context}`;
+}
+
+async function main(argv) {
+  let options;
+  try {
+    options = parseArgs(argv);
+  } catch (e) {
+    console.error(`predlogi: ${e.message}\n\n${USAGE}`);
+    return 2;
+  }
+  if (options.help || !options.files.length) {
+    console.log(USAGE);
+    return options.help ? 0 : 2;
+  }
+
+  const rules = {};
+  if (options.lexicon) {
+    try {
+      rules.pronunciations = JSON.parse(await readFile(options.lexicon, "utf8"));
+    } catch (e) {
+      console.error(`predlogi: ${options.lexicon}: ${e.message}`);
+      return 2;
+    }
+  }
+
+  const summary = { files: 0, inspected: 0, mismatches: 0, ambiguous: 0, fixed: 0 };
+  const findings = [];
+  let failed = false;
+
+  for (const file of options.files) {
+    const ext = path.extname(file).toLowerCase();
+    const check =
+      ext === ".docx"
+        ? checkDocxFile
+        : [".txt", ".md", ".markdown"].includes(ext)
+          ? checkTextFile
+          : null;
+    if (!check) {
+      console.error(`predlogi: ${file}: unsupported file type`);
+      failed = true;
+      continue;
+    }
+
+    try {
+      const result = await check(file, options.fix, rules);
+      summary.files++;
+      summary.inspected += result.inspected;
+      findings.push(...result.findings);
+    } catch (e) {
+      console.error(`predlogi: ${file}: ${e.message}`);
+      failed = true;
+    }
+  }
+
+  for (const f of findings) {
+    if (f.ambiguous) summary.ambiguous++;
+    else if (f.fixed) summary.fixed++;
+    else summary.mismatches++;
+  }
+
+  if (options.format === "json") {
+    console.log(JSON.stringify({ ...summary, findings }, null, 2));
+  } else {
+    for (const f of findings) console.log(formatText(f));
+    console.error(
+      `${summary.files} file(s), ${summary.inspected} prepositions: ` +
+        `${summary.mismatches} mismatches, ${summary.fixed} fixed, ${summary.ambiguous} ambiguous`
+    );
+  }
+
+  if (failed) return 2;
+  return summary.mismatches ? 1 : 0;
+}
+
+main(process.argv.slice(2)).then((code) => {
+  process.exitCode = code;
+});
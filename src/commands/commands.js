@@ -1,9 +1,16 @@
-/* global document, Office */
+/* global console, document, Office */
 import {
   checkDocumentText,
   acceptAllChanges,
-  rejectAllChanges
+  rejectAllChanges,
+  checkSelectionText,
+  acceptSelectionChanges,
+  rejectSelectionChanges,
+  insertNonBreakingSpaces,
+  removeNonBreakingSpaces
 } from "./preposition.js";
+import { loadSettings } from "./settings.js";
+import { ACCEPT_ALL_QUESTION, confirmInDialog } from "./dialog.js";
 
 console.log("⭐ commands.js loaded");
 
@@ -28,15 +35,44 @@ Office.onReady(info => {
       "checkDocumentText",
       makeHandler(checkDocumentText)
     );
+    // Accept All asks first if the user wants that in the settings
+    const confirmedAcceptAll = async () => {
+      if (loadSettings().confirmAcceptAll && !(await confirmInDialog(ACCEPT_ALL_QUESTION))) return;
+      await acceptAllChanges();
+    };
     Office.actions.associate(
       "acceptAllChanges",
-      makeHandler(acceptAllChanges)
+      makeHandler(confirmedAcceptAll)
     );
     Office.actions.associate(
       "rejectAllChanges",
       makeHandler(rejectAllChanges)
     );
 
+    // right-click menu: the same commands on the selection only
+    Office.actions.associate(
+      "checkSelectionText",
+      makeHandler(checkSelectionText)
+    );
+    Office.actions.associate(
+      "acceptSelectionChanges",
+      makeHandler(acceptSelectionChanges)
+    );
+    Office.actions.associate(
+      "rejectSelectionChanges",
+      makeHandler(rejectSelectionChanges)
+    );
+
+    // non-breaking spaces after one-letter words, and back
+    Office.actions.associate(
+      "insertNonBreakingSpaces",
+      makeHandler(insertNonBreakingSpaces)
+    );
+    Office.actions.associate(
+      "removeNonBreakingSpaces",
+      makeHandler(removeNonBreakingSpaces)
+    );
+
     console.log("✅ Actions associated");
   }
 });
@@ -0,0 +1,42 @@
+/* global console, window, Office, URL */
+
+// ─────────────────────────────────────────────────
+// Confirmation before a command changes the whole document. The task
+// pane asks inline; ribbon commands open the dialog in src/dialog/.
+// ─────────────────────────────────────────────────
+
+/** The question asked before Accept All. */
+export const ACCEPT_ALL_QUESTION = "Popravim vsa neujemanja v dokumentu?";
+
+/**
+ * Ask a yes/no question in an Office dialog.
+ * @param {string} question
+ * @returns {Promise<boolean>} true only if the user answered yes; closing
+ *   the dialog or failing to open it counts as no
+ */
+export function confirmInDialog(question) {
+  const url = new URL("confirm.html", window.location.href);
+  url.searchParams.set("question", question);
+
+  return new Promise((resolve) => {
+    Office.context.ui.displayDialogAsync(
+      url.href,
+      { height: 25, width: 30, displayInIframe: true },
+      (result) => {
+        if (result.status === Office.AsyncResultStatus.Failed) {
+          console.error("confirmInDialog error", result.error);
+          resolve(false);
+          return;
+        }
+
+        const dialog = result.value;
+        dialog.addEventHandler(Office.EventType.DialogMessageReceived, (arg) => {
+          dialog.close();
+          resolve(arg.message === "yes");
+        });
+        // closed with the X button
+        dialog.addEventHandler(Office.EventType.DialogEventReceived, () => resolve(false));
+      }
+    );
+  });
+}
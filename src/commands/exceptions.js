@@ -0,0 +1,166 @@
+/* global console, Office, localStorage */
+
+import { loadSettings } from "./settings.js";
+
+// ─────────────────────────────────────────────────
+// Exceptions the user has made:
+//  • ignored occurrences, saved in the document's own settings so
+//    they travel with the file and survive save and reopen;
+//  • personal word forms that always take a given preposition, and
+//    personal pronunciations of names the lexicon doesn't know, kept
+//    per user in local storage like the settings in settings.js.
+// ─────────────────────────────────────────────────
+const IGNORED_KEY = "predlogi.ignored";
+const EXCEPTIONS_KEY = "predlogi.exceptions";
+const PRONUNCIATIONS_KEY = "predlogi.pronunciations";
+
+function documentSettings() {
+  return Office.context.document?.settings;
+}
+
+/**
+ * Re-read the document's settings. The task pane and the ribbon
+ * commands each hold their own copy, so an occurrence ignored in one
+ * is only seen by the other after a refresh.
+ * @returns {Promise<void>}
+ */
+function refreshDocumentSettings() {
+  const settings = documentSettings();
+  if (!settings?.refreshAsync) return Promise.resolve();
+
+  return new Promise((resolve) => {
+    settings.refreshAsync((result) => {
+      if (result.status === Office.AsyncResultStatus.Failed) {
+        console.error("refreshDocumentSettings error", result.error);
+      }
+      resolve();
+    });
+  });
+}
+
+/**
+ * @returns {Array<{key:string, context:string}>} ignored occurrences
+ */
+export function loadIgnored() {
+  return documentSettings()?.get(IGNORED_KEY) || [];
+}
+
+function saveIgnored(list) {
+  const settings = documentSettings();
+  if (!settings) return Promise.resolve();
+
+  settings.set(IGNORED_KEY, list);
+  return new Promise((resolve) => {
+    settings.saveAsync((result) => {
+      if (result.status === Office.AsyncResultStatus.Failed) {
+        console.error("saveIgnored error", result.error);
+      }
+      resolve();
+    });
+  });
+}
+
+/**
+ * Remember an occurrence as intentionally left as written.
+ * @param {{key:string, context:string}} entry
+ */
+export async function addIgnored(entry) {
+  const list = loadIgnored().filter((e) => e.key !== entry.key);
+  list.push({ key: entry.key, context: entry.context });
+  await saveIgnored(list);
+}
+
+export async function removeIgnored(key) {
+  await saveIgnored(loadIgnored().filter((e) => e.key !== key));
+}
+
+/**
+ * @returns {Object<string,"s"|"z"|"k"|"h">} lowercase word form → preposition
+ */
+export function loadExceptions() {
+  try {
+    return JSON.parse(localStorage.getItem(EXCEPTIONS_KEY) || "{}");
+  } catch (e) {
+    console.error("loadExceptions error", e);
+    return {};
+  }
+}
+
+function saveExceptions(exceptions) {
+  try {
+    localStorage.setItem(EXCEPTIONS_KEY, JSON.stringify(exceptions));
+  } catch (e) {
+    console.error("saveExceptions error", e);
+  }
+}
+
+/**
+ * @param {string} word — the word form, e.g. "hčerko"
+ * @param {"s"|"z"|"k"|"h"} preposition — what it always takes
+ */
+export function addException(word, preposition) {
+  const key = word.normalize("NFC").trim().toLowerCase();
+  if (!key || !/^[szkh]$/.test(preposition)) return;
+  saveExceptions({ ...loadExceptions(), [key]: preposition });
+}
+
+export function removeException(word) {
+  const exceptions = loadExceptions();
+  delete exceptions[word];
+  saveExceptions(exceptions);
+}
+
+/**
+ * @returns {Object<string,string>} lowercase stem → Slovene respelling
+ */
+export function loadPronunciations() {
+  try {
+    return JSON.parse(localStorage.getItem(PRONUNCIATIONS_KEY) || "{}");
+  } catch (e) {
+    console.error("loadPronunciations error", e);
+    return {};
+  }
+}
+
+function savePronunciations(pronunciations) {
+  try {
+    localStorage.setItem(PRONUNCIATIONS_KEY, JSON.stringify(pronunciations));
+  } catch (e) {
+    console.error("savePronunciations error", e);
+  }
+}
+
+/**
+ * @param {string} stem — how the name starts in writing, e.g. "Chopin"
+ * @param {string} spoken — how it is said, e.g. "šopen"
+ */
+export function addPronunciation(stem, spoken) {
+  const key = stem.normalize("NFC").trim().toLowerCase();
+  const value = spoken.normalize("NFC").trim().toLowerCase();
+  if (key.length < 3 || !value) return;
+  savePronunciations({ ...loadPronunciations(), [key]: value });
+}
+
+export function removePronunciation(stem) {
+  const pronunciations = loadPronunciations();
+  delete pronunciations[stem];
+  savePronunciations(pronunciations);
+}
+
+/**
+ * Everything check and accept need to respect the user's exceptions,
+ * pronunciations and the rule families switched on in the settings. The ignored list
+ * is re-read from the document first, so an "Ignore once" in the task
+ * pane holds for Accept All from the ribbon.
+ * @returns {Promise<{exceptions:Object<string,string>, ignored:Set<string>,
+ *   families:string[], pronunciations:Object<string,string>}>}
+ */
+export async function loadRuleOptions() {
+  await refreshDocumentSettings();
+  return {
+    exceptions: loadExceptions(),
+    pronunciations: loadPronunciations(),
+    ignored: new Set(loadIgnored().map((e) => e.key)),
+    families: loadSettings().families,
+  };
+}
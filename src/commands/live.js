@@ -0,0 +1,76 @@
+/* global clearTimeout, setTimeout, Word */
+
+import { recheckParagraphs, forgetParagraphs } from "./preposition.js";
+
+// ─────────────────────────────────────────────────
+// Live mode: follow Word's paragraph events and re-check only what
+// changed, once typing pauses
+// ─────────────────────────────────────────────────
+const DEBOUNCE_MS = 800;
+
+let subscriptions = [];
+let pendingIds = new Set();
+let timer = null;
+let running = Promise.resolve();
+let onUpdate = null;
+
+async function flush() {
+  const ids = [...pendingIds];
+  pendingIds = new Set();
+  if (!ids.length) return;
+
+  const result = await recheckParagraphs(ids);
+  if (result.paragraphIds.length) onUpdate?.(result);
+}
+
+async function onParagraphChanged(event) {
+  for (const id of event.uniqueLocalIds) pendingIds.add(id);
+  clearTimeout(timer);
+  // queue behind any re-check still running so batches never overlap
+  timer = setTimeout(() => {
+    running = running.then(flush);
+  }, DEBOUNCE_MS);
+}
+
+async function onParagraphDeleted(event) {
+  for (const id of event.uniqueLocalIds) pendingIds.delete(id);
+  forgetParagraphs(event.uniqueLocalIds);
+  onUpdate?.({ paragraphIds: event.uniqueLocalIds, findings: [] });
+}
+
+/**
+ * Subscribe to paragraph changes.
+ * @param {(update:{paragraphIds:string[], findings:Array}) => void} callback —
+ *   called with the re-checked paragraphs and their current findings
+ */
+export async function startLiveCheck(callback) {
+  if (subscriptions.length) return;
+  onUpdate = callback;
+
+  await Word.run(async (context) => {
+    const doc = context.document;
+    const added = [
+      doc.onParagraphAdded.add(onParagraphChanged),
+      doc.onParagraphChanged.add(onParagraphChanged),
+      doc.onParagraphDeleted.add(onParagraphDeleted),
+    ];
+    await context.sync();
+    // only once Word has accepted them, so a failed start can be retried
+    subscriptions = added;
+  });
+}
+
+export async function stopLiveCheck() {
+  clearTimeout(timer);
+  pendingIds = new Set();
+  onUpdate = null;
+
+  if (!subscriptions.length) return;
+
+  // all three were added in one batch and share its context
+  await Word.run(subscriptions[0].context, async (context) => {
+    for (const subscription of subscriptions) subscription.remove();
+    await context.sync();
+  });
+  subscriptions = [];
+}
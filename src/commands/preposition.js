@@ -1,7 +1,19 @@
-/* global Office, Word */
-
-const HIGHLIGHT_COLOR = "#FFC0CB";
-const NOTIF_ID        = "noErrors";
+/* global console, Office, Word */
+
+import {
+  inspectText,
+  findMismatchesInText,
+  applyToText,
+  sentenceAt,
+  findSpacesAfterOneLetter,
+  swapSpacesInText,
+  NBSP,
+} from "../engine/rules.js";
+import { loadSettings } from "./settings.js";
+import { addIgnored, loadRuleOptions } from "./exceptions.js";
+
+const NOTIF_ID = "noErrors";
+const MARK_TAG = "predlogi-mark";
 
 // ─────────────────────────────────────────────────
 // Helpers for ribbon notifications
@@ -17,134 +29,546 @@ function showNotification(id, opts) {
   }
 }
 
-/**
- * Decide correct preposition for S/Z and K/H.
- * @param {string} nextWord    — the text of the following word
- * @param {string} prepLower   — the candidate preposition, already lowercased ("s","z","k" or "h")
- * @returns {"s"|"z"|"k"|"h"|null}
- */
-function determineCorrectPreposition(nextWord, prepLower) {
-  if (!nextWord) return null;
-
-  // normalize and trim
-  const nw = nextWord.normalize("NFC").trim();
-  if (!nw) return null;
-
-  // grab the very first character
-  let ch = nw[0];
-
-  // if digit, map to letter; else lowercase letter
-  const digitMap = {
-    '1':'e','2':'d','3':'t','4':'š','5':'p',
-    '6':'š','7':'s','8':'o','9':'d','0':'n'
-  };
-  const key = (ch >= '0' && ch <= '9')
-    ? digitMap[ch]
-    : ch.toLowerCase();
-
-  // S/Z logic: unvoiced ⇒ "s", otherwise "z"
-  if (prepLower === "s" || prepLower === "z") {
-    const unvoiced = new Set(['c','č','f','h','k','p','s','š','t']);
-    return unvoiced.has(key) ? "s" : "z";
-  }
+// ─────────────────────────────────────────────────
+// Utility: build list of every story that holds text
+// ─────────────────────────────────────────────────
+/** Task pane labels for the stories a finding can come from. */
+export const STORY_LABELS = {
+  body: "Glavno besedilo",
+  headerPrimary: "Glava",
+  headerFirstPage: "Glava (prva stran)",
+  headerEvenPages: "Glava (sode strani)",
+  footerPrimary: "Noga",
+  footerFirstPage: "Noga (prva stran)",
+  footerEvenPages: "Noga (sode strani)",
+  footnote: "Sprotna opomba",
+  endnote: "Končna opomba",
+  textBox: "Polje z besedilom",
+  comment: "Komentar",
+  selection: "Izbor",
+};
+
+const HEADER_FOOTER_TYPES = ["Primary", "FirstPage", "EvenPages"];
+
+/** Task pane labels for the groups of stories the settings switch on and off. */
+export const STORY_GROUPS = {
+  body: "Glavno besedilo",
+  headers: "Glave",
+  footers: "Noge",
+  footnotes: "Sprotne opombe",
+  endnotes: "Končne opombe",
+  textBoxes: "Polja z besedilom",
+  comments: "Komentarji",
+};
+
+// the STORY_GROUPS entry a story belongs to
+function storyGroup(story) {
+  if (story.startsWith("header")) return "headers";
+  if (story.startsWith("footer")) return "footers";
+  return (
+    { footnote: "footnotes", endnote: "endnotes", textBox: "textBoxes", comment: "comments" }[
+      story
+    ] ?? story
+  );
+}
 
-  // K/H logic: before k or g ⇒ "h", otherwise "k"
-  if (prepLower === "k" || prepLower === "h") {
-    return (key === "k" || key === "g") ? "h" : "k";
-  }
+// is a story switched on in the settings? A selection always is.
+function isScanned(story, settings) {
+  return story === "selection" || settings.stories.includes(storyGroup(story));
+}
 
-  return null;
+function isSetSupported(name, version) {
+  return Office.context.requirements?.isSetSupported(name, version) ?? false;
 }
 
-// ─────────────────────────────────────────────────
-// Utility: build list of body, headers, and footers
-// ─────────────────────────────────────────────────
+/**
+ * Collect every searchable story: body, all header/footer variants,
+ * footnotes, endnotes and text boxes. Stories the host's API version
+ * cannot reach are skipped. Comments are not searchable ranges; see
+ * collectComments.
+ * @returns {Promise<Array<{story:string, range:Word.Body}>>}
+ */
 async function collectScanRanges(context) {
   const ranges = [];
 
   // include document body
-  ranges.push(context.document.body);
+  ranges.push({ story: "body", range: context.document.body });
 
-  // include each section’s primary header & footer
+  // include each section’s headers & footers of every kind
   const sections = context.document.sections;
   sections.load("items");
+
+  // footnotes & endnotes (WordApi 1.5)
+  let footnotes = null,
+    endnotes = null;
+  if (isSetSupported("WordApi", "1.5")) {
+    footnotes = context.document.body.footnotes;
+    endnotes = context.document.body.endnotes;
+    footnotes.load("items");
+    endnotes.load("items");
+  }
+
+  // text boxes (desktop only)
+  let textBoxes = null;
+  if (isSetSupported("WordApiDesktop", "1.2")) {
+    textBoxes = context.document.body.shapes.getByTypes([Word.ShapeType.textBox]);
+    textBoxes.load("items");
+  }
+
   await context.sync();
 
-  for (const section of sections.items) {
-    ranges.push(section.getHeader("primary"));
-    ranges.push(section.getFooter("primary"));
+  ranges.push(...(await collectHeadersFooters(context, sections.items)));
+  for (const note of footnotes?.items ?? []) {
+    ranges.push({ story: "footnote", range: note.body });
+  }
+  for (const note of endnotes?.items ?? []) {
+    ranges.push({ story: "endnote", range: note.body });
+  }
+  for (const shape of textBoxes?.items ?? []) {
+    ranges.push({ story: "textBox", range: shape.body });
   }
 
   return ranges;
 }
 
+/**
+ * Every section's header and footer variants. A header or footer linked
+ * to the previous section's comes back as the same content for every
+ * section it is shown in; with WordApi 1.6 such repeats are told apart
+ * by their first paragraph's id and left out. Without it they are all
+ * scanned, and handleOnce keeps their letters from being marked or
+ * corrected twice.
+ * @param {Word.Section[]} sections — loaded
+ * @returns {Promise<Array<{story:string, range:Word.Body}>>}
+ */
+async function collectHeadersFooters(context, sections) {
+  const entries = [];
+  for (const section of sections) {
+    for (const type of HEADER_FOOTER_TYPES) {
+      entries.push({ story: `header${type}`, range: section.getHeader(type) });
+      entries.push({ story: `footer${type}`, range: section.getFooter(type) });
+    }
+  }
+  if (!isSetSupported("WordApi", "1.6")) return entries;
+
+  const firsts = entries.map(({ range }) => {
+    const first = range.paragraphs.getFirst();
+    first.load("uniqueLocalId");
+    return first;
+  });
+  await context.sync();
+
+  const seen = new Set();
+  return entries.filter((entry, i) => {
+    const id = firsts[i].uniqueLocalId;
+    if (seen.has(id)) return false;
+    seen.add(id);
+    return true;
+  });
+}
+
+/**
+ * What a command works on: the whole document, or just the selection.
+ * @param {"document"|"selection"} scope
+ * @returns {Promise<{scanRanges:Array<{story:string, range:Word.Body|Word.Range}>,
+ *   within:Word.Range|null}>} within is the selection, if scoped to it.
+ *   scanRanges holds every story, switched off or not, so old marks can
+ *   be cleared everywhere; see scannedRanges
+ */
+async function collectScope(context, scope) {
+  if (scope !== "selection") {
+    return { scanRanges: await collectScanRanges(context), within: null };
+  }
+  const selection = context.document.getSelection();
+  return { scanRanges: [{ story: "selection", range: selection }], within: selection };
+}
+
+// the ranges whose stories the settings have switched on
+function scannedRanges(scanRanges, settings) {
+  return scanRanges.filter(({ story }) => isScanned(story, settings));
+}
+
+// comments to check along with the ranges, unless scoped or switched off
+async function scannedComments(context, within, settings) {
+  return within || !isScanned("comment", settings) ? [] : collectComments(context);
+}
+
+/**
+ * Load all document comments (WordApi 1.4) with their text.
+ * @returns {Promise<Word.Comment[]>}
+ */
+async function collectComments(context) {
+  if (!isSetSupported("WordApi", "1.4")) return [];
+
+  const comments = context.document.body.getComments();
+  comments.load("items/content");
+  await context.sync();
+  return comments.items;
+}
+
 // ─────────────────────────────────────────────────
-// 1) Check S/Z/K/H: highlight all mismatches, select first
+// Marks: every range the add-in highlights is wrapped in a hidden
+// content control tagged MARK_TAG, with the author's own highlight
+// colour kept in its title. The marks are saved with the document, so
+// clearing them later touches nothing else and restores what was there.
 // ─────────────────────────────────────────────────
-export async function checkDocumentText() {
-  clearNotification(NOTIF_ID);
+function markRange(range, originalHighlight, color) {
+  const mark = range.insertContentControl();
+  mark.tag = MARK_TAG;
+  mark.title = originalHighlight || "";
+  mark.appearance = Word.ContentControlAppearance.hidden;
+  mark.font.highlightColor = color;
+  // the id tells later whether the mark is still in the document; see liveFindings
+  mark.load("id");
+  return mark;
+}
+
+function unmark(mark) {
+  mark.font.highlightColor = mark.title || null;
+  mark.delete(true);
+}
 
+/**
+ * Remove every mark in the given stories, restoring the highlight that
+ * was there before.
+ * @returns {Promise<number>} how many marks were cleared
+ */
+async function clearMarks(context, scanRanges) {
+  const marks = scanRanges.map(({ range }) => {
+    const ccs = range.contentControls.getByTag(MARK_TAG);
+    ccs.load("items/title");
+    return ccs;
+  });
+  await context.sync();
+
+  let cleared = 0;
+  for (const ccs of marks) {
+    for (const mark of ccs.items) {
+      unmark(mark);
+      cleared++;
+    }
+  }
+  return cleared;
+}
+
+/**
+ * Repaint every mark with a new colour, after it was changed in the
+ * settings.
+ * @param {string} color
+ */
+export async function recolorMarks(color) {
   try {
-    await Word.run(async context => {
-      // clear all existing highlights
-      context.document.body.font.highlightColor = null;
-      const sections = context.document.sections;
-      sections.load("items");
+    await Word.run(async (context) => {
+      const marks = (await collectScanRanges(context)).map(({ range }) => {
+        const ccs = range.contentControls.getByTag(MARK_TAG);
+        ccs.load("items/title");
+        return ccs;
+      });
       await context.sync();
-      for (const sec of sections.items) {
-        sec.getHeader("primary").font.highlightColor = null;
-        sec.getFooter("primary").font.highlightColor = null;
+
+      for (const ccs of marks) {
+        for (const mark of ccs.items) mark.font.highlightColor = color;
       }
       await context.sync();
+    });
+  } catch (e) {
+    console.error("recolorMarks error", e);
+  }
+}
 
-      const opts = { matchWholeWord: true, matchCase: false };
-      const scanRanges = await collectScanRanges(context);
-      const mismatches = [];
-
-      for (const rng of scanRanges) {
-        const sRes = rng.search("s", opts);
-        const zRes = rng.search("z", opts);
-        const kRes = rng.search("k", opts);
-        const hRes = rng.search("h", opts);
-        sRes.load("items"); zRes.load("items");
-        kRes.load("items"); hRes.load("items");
-        await context.sync();
+// ─────────────────────────────────────────────────
+// Utility: locate mismatches with a fixed number of syncs
+// ─────────────────────────────────────────────────
+// paragraphs whose matches are mapped back to ranges per sync
+const SEARCH_CHUNK = 250;
+
+// compareLocationWith results that count as inside a selection
+const INSIDE = new Set(["Inside", "InsideStart", "InsideEnd", "Equal"]);
+
+// paragraph id → text at its last analysis, so live checking can skip
+// change events that did not touch the text (our own marks, formatting)
+const lastChecked = new Map();
+
+/**
+ * Paragraph ids (WordApi 1.6) are what live checking keys on.
+ * @returns {boolean}
+ */
+export function isLiveCheckSupported() {
+  return isSetSupported("WordApi", "1.6");
+}
+
+/**
+ * Load every paragraph's text in one round trip, then hand over to
+ * locateInParagraphs.
+ * @param {Array<{story:string, range:Word.Body}>} scanRanges
+ * @param {Object} [options] — see locateInParagraphs, plus `within`: a
+ *   range outside of which findings are dropped
+ * @returns {Promise<Array>} findings without ids, in document order
+ */
+async function locateMismatches(context, scanRanges, options) {
+  const props = isLiveCheckSupported() ? "items/text,items/uniqueLocalId" : "items/text";
+  const stories = scanRanges.map(({ story, range }) => {
+    const paragraphs = range.paragraphs;
+    paragraphs.load(props);
+    return { story, paragraphs };
+  });
+  await context.sync();
+
+  const entries = [];
+  stories.forEach(({ story, paragraphs }, storyIndex) => {
+    paragraphs.items.forEach((para, paragraphIndex) => {
+      entries.push({ story, storyIndex, para, paragraphIndex });
+    });
+  });
+  const located = await locateInParagraphs(context, entries, options);
+  if (!options?.within) return located;
+
+  // the selection's paragraphs were analysed whole; keep what lies inside it
+  const relations = located.map((f) => f.range.compareLocationWith(options.within));
+  await context.sync();
+  return located.filter((f, i) => INSIDE.has(relations[i].value));
+}
 
-        for (const r of [...sRes.items, ...zRes.items, ...kRes.items, ...hRes.items]) {
-          const raw   = r.text.trim();
-          const lower = raw.toLowerCase();
-          if (!["s","z","k","h"].includes(lower)) continue;
+/**
+ * Keep only the search hits that sit where the plain-text analysis put
+ * them. Hits are picked by their index among Word's matches; if Word
+ * counts the letters differently, that index points at another letter,
+ * so the paragraph text up to each hit must be what we expect.
+ * @param {Array<{para:Word.Paragraph, range:Word.Range, m:{offset:number}}>} candidates
+ * @returns {Promise<Array>} the candidates whose position checks out
+ */
+async function verifyOffsets(context, candidates) {
+  if (!candidates.length) return candidates;
+  const before = candidates.map(({ para, range }) => {
+    const lead = para.getRange("Start").expandTo(range.getRange("Start"));
+    lead.load("text");
+    return lead;
+  });
+  await context.sync();
+  return candidates.filter(({ para, m }, i) => before[i].text === para.text.slice(0, m.offset));
+}
 
-          const after = r
-            .getRange("After")
-            .getNextTextRange([" ", "\n", ".", ",", ";", "?", "!"], true);
-          after.load("text");
-          await context.sync();
+/**
+ * Analyse loaded paragraphs in plain JavaScript and map the mismatches
+ * back to ranges, one sync per SEARCH_CHUNK paragraphs that contain any.
+ * @param {Array<{story:string, storyIndex?:number, para:Word.Paragraph,
+ *   paragraphIndex?:number}>} entries
+ * @param {{onProgress?: (done:number, total:number) => void, rules?:Object,
+ *   tally?:{inspected:number}}} [options]
+ *   rules are passed on to inspectText; tally, if given, counts the
+ *   prepositions inspected
+ * @returns {Promise<Array>} findings without ids, in document order
+ */
+async function locateInParagraphs(context, entries, { onProgress, rules, tally } = {}) {
+  const live = isLiveCheckSupported();
+  const pending = [];
+  for (const entry of entries) {
+    if (live) lastChecked.set(entry.para.uniqueLocalId, entry.para.text);
+    const { inspected, mismatches } = inspectText(entry.para.text, rules);
+    if (tally) tally.inspected += inspected;
+    if (mismatches.length) pending.push({ ...entry, mismatches });
+  }
 
-          const nxt = after.text.trim();
-          if (!nxt) continue;
+  const opts = { matchWholeWord: true, matchCase: false };
+  const located = [];
+  onProgress?.(0, pending.length);
+
+  for (let i = 0; i < pending.length; i += SEARCH_CHUNK) {
+    const chunk = pending.slice(i, i + SEARCH_CHUNK);
+    for (const item of chunk) {
+      item.hits = {};
+      for (const letter of new Set(item.mismatches.map((m) => m.letter))) {
+        item.hits[letter] = item.para.search(letter, opts);
+        item.hits[letter].load("items/text,items/font/highlightColor");
+      }
+    }
+    await context.sync();
+
+    const candidates = [];
+    for (const { story, storyIndex, para, paragraphIndex, mismatches, hits } of chunk) {
+      const paragraphId = live ? para.uniqueLocalId : undefined;
+      for (const m of mismatches) {
+        const range = hits[m.letter].items[m.occurrence];
+        // skip if Word's idea of a whole word disagrees with ours
+        if (!range || range.text.trim() !== m.original) continue;
+        candidates.push({ story, storyIndex, para, paragraphIndex, paragraphId, range, m });
+      }
+    }
+    for (const {
+      story,
+      storyIndex,
+      para,
+      paragraphIndex,
+      paragraphId,
+      range,
+      m,
+    } of await verifyOffsets(context, candidates)) {
+      located.push({
+        story,
+        storyIndex,
+        paragraphIndex,
+        paragraphId,
+        range,
+        ...m,
+        ...sentenceAt(para.text, m.offset),
+      });
+    }
+    onProgress?.(Math.min(i + SEARCH_CHUNK, pending.length), pending.length);
+  }
 
-          const expected = determineCorrectPreposition(nxt, lower);
-          if (!expected || expected === lower) continue;
+  return located;
+}
 
-          context.trackedObjects.add(r);
-          r.font.highlightColor = HIGHLIGHT_COLOR;
-          mismatches.push(r);
+/**
+ * Mark or correct located findings. Without WordApi 1.6 a linked header
+ * or footer is scanned once per section (see collectHeadersFooters), so
+ * the same ranges come back again: header and footer stories are then
+ * handled one at a time, and a range an earlier story already handled
+ * is skipped.
+ * @param {Array} located — from locateMismatches, in document order
+ * @param {{probe:(f:Object) => Object, done:(f:Object, probed:Object) => boolean,
+ *   handle:(f:Object) => void}} steps
+ *   probe queues a load on a finding's range, done tells from it whether
+ *   the range was handled already, handle marks or corrects it
+ */
+async function handleOnce(context, located, { probe, done, handle }) {
+  const repeatable = (f) =>
+    !isSetSupported("WordApi", "1.6") && ["headers", "footers"].includes(storyGroup(f.story));
+
+  let i = 0;
+  while (i < located.length) {
+    // the next run of findings from one story
+    let end = i + 1;
+    while (end < located.length && located[end].storyIndex === located[i].storyIndex) end++;
+    const run = located.slice(i, end);
+    i = end;
+
+    if (!repeatable(run[0])) {
+      run.forEach(handle);
+      continue;
+    }
+    const probed = run.map(probe);
+    await context.sync();
+    run.forEach((f, k) => {
+      if (!done(f, probed[k])) handle(f);
+    });
+    await context.sync();
+  }
+}
+
+// ─────────────────────────────────────────────────
+// Corrections: optionally as tracked changes with a comment
+// ─────────────────────────────────────────────────
+// stories Word lets us attach comments to (not headers or footers)
+const COMMENTABLE = new Set(["body", "footnote", "endnote", "textBox"]);
+
+/**
+ * Turn on change tracking if the user asked for it.
+ * @returns {Promise<string|null>} the mode to restore with endTracking
+ */
+async function beginTracking(context, settings) {
+  if (!settings.trackChanges || !isSetSupported("WordApi", "1.4")) return null;
+
+  const doc = context.document;
+  doc.load("changeTrackingMode");
+  await context.sync();
+  const previous = doc.changeTrackingMode;
+  doc.changeTrackingMode = Word.ChangeTrackingMode.trackAll;
+  return previous;
+}
+
+function endTracking(context, previous) {
+  if (previous !== null) context.document.changeTrackingMode = previous;
+}
+
+// replace the preposition and, if enabled, explain the rule in a comment
+function applyCorrection(target, finding, settings) {
+  const fixed = target.insertText(finding.replacement, Word.InsertLocation.replace);
+  if (settings.addComments && COMMENTABLE.has(finding.story) && isSetSupported("WordApi", "1.4")) {
+    fixed.insertComment(finding.reason);
+  }
+  return fixed;
+}
+
+let nextFindingId = 1;
+
+// ─────────────────────────────────────────────────
+// 1) Check S/Z/K/H: highlight all mismatches, select first
+// ─────────────────────────────────────────────────
+/**
+ * Highlight every mismatch and select the first one. Marks left by an
+ * earlier check are cleared first; nothing else is touched.
+ * @param {{onProgress?: (done:number, total:number) => void,
+ *   scope?: "document"|"selection"}} [options]
+ * @returns {Promise<{inspected:number, findings:Array<{id:number, story:string, paragraphIndex?:number,
+ *   paragraphId?:string,
+ *   mark?:Word.ContentControl, comment?:Word.Comment, offset:number,
+ *   original:string, replacement:string, nextWord:string,
+ *   context:string, contextOffset:number}>}>}
+ *   how many prepositions were inspected and the findings in document
+ *   order; each mark (or, for comments, the
+ *   comment plus an offset into its text) stays tracked so the task pane
+ *   can revisit it with selectFinding/acceptFinding/ignoreFinding
+ */
+export async function checkDocumentText({ onProgress, scope = "document" } = {}) {
+  clearNotification(NOTIF_ID);
+  const findings = [];
+  const settings = loadSettings();
+  const rules = await loadRuleOptions();
+  const tally = { inspected: 0 };
+
+  try {
+    await Word.run(async (context) => {
+      const { scanRanges, within } = await collectScope(context, scope);
+
+      // clear our own marks from the previous check
+      await clearMarks(context, scanRanges);
+
+      const targets = scannedRanges(scanRanges, settings);
+      const located = await locateMismatches(context, targets, {
+        onProgress,
+        rules,
+        tally,
+        within,
+      });
+      await handleOnce(context, located, {
+        probe: ({ range }) => range.parentContentControlOrNullObject.load("tag"),
+        done: (f, parent) => !parent.isNullObject && parent.tag === MARK_TAG,
+        handle: ({ range, ...f }) => {
+          const mark = markRange(range, range.font.highlightColor, settings.highlightColor);
+          context.trackedObjects.add(mark);
+          findings.push({ id: nextFindingId++, mark, ...f });
+        },
+      });
+
+      // comments can't be searched or highlighted; report them from their text
+      const comments = await scannedComments(context, within, settings);
+      for (const comment of comments) {
+        const { inspected, mismatches } = inspectText(comment.content, rules);
+        tally.inspected += inspected;
+        if (mismatches.length) context.trackedObjects.add(comment);
+        for (const m of mismatches) {
+          findings.push({
+            id: nextFindingId++,
+            story: "comment",
+            comment,
+            ...m,
+            ...sentenceAt(comment.content, m.offset),
+          });
         }
       }
 
       await context.sync();
 
-      if (!mismatches.length) {
+      if (!findings.length) {
         showNotification(NOTIF_ID, {
           type: "informationalMessage",
           message: "✨ No mismatches!",
-          icon: "Icon.80x80"
+          icon: "Icon.80x80",
         });
       } else {
-        const first = mismatches[0];
-        context.trackedObjects.add(first);
-        first.select();
+        const first = findings[0];
+        (first.mark || first.comment.getRange()).select();
         await context.sync();
       }
     });
@@ -152,117 +576,420 @@ export async function checkDocumentText() {
     console.error("checkDocumentText error", e);
     showNotification(NOTIF_ID, {
       type: "errorMessage",
-      message: "Check failed; please try again."
+      message: "Check failed; please try again.",
     });
   }
+
+  return { inspected: tally.inspected, findings };
 }
 
 // ─────────────────────────────────────────────────
-// 2) Accept All: replace every mismatch in one batch
+// Single findings: select, accept or ignore one occurrence
 // ─────────────────────────────────────────────────
-export async function acceptAllChanges() {
-  clearNotification(NOTIF_ID);
+// the tracked object a finding lives in
+function findingAnchor(finding) {
+  return finding.mark || finding.comment;
+}
+
+// load a finding and report whether its preposition is still there
+async function isFindingCurrent(context, finding) {
+  if (finding.comment) {
+    finding.comment.load("content");
+    await context.sync();
+    return finding.comment.content[finding.offset] === finding.original;
+  }
+  finding.mark.load("text,title");
+  await context.sync();
+  return finding.mark.text.trim() === finding.original;
+}
+
+/**
+ * The findings that still stand: their mark was not cleared or accepted
+ * and still holds the preposition. Every mark in the document is read
+ * in one batch. Findings in comments are kept as they are; the
+ * selection commands never touch comments.
+ * @param {Array} findings — from checkDocumentText()
+ * @returns {Promise<Array>} the findings still in the document, in order
+ */
+export async function liveFindings(findings) {
+  try {
+    return await Word.run(async (context) => {
+      const marks = (await collectScanRanges(context)).map(({ range }) => {
+        const ccs = range.contentControls.getByTag(MARK_TAG);
+        ccs.load("items/id,items/text");
+        return ccs;
+      });
+      await context.sync();
+
+      const texts = new Map();
+      for (const ccs of marks) {
+        for (const mark of ccs.items) texts.set(mark.id, mark.text);
+      }
+      return findings.filter((f) => f.comment || texts.get(f.mark.id)?.trim() === f.original);
+    });
+  } catch (e) {
+    console.error("liveFindings error", e);
+    return findings;
+  }
+}
+
+/**
+ * Select a finding's range in the document (for comments, the text the
+ * comment is attached to).
+ * @returns {Promise<boolean>} false if the occurrence no longer exists
+ *   (the user edited or deleted it), so the caller can drop it
+ */
+export async function selectFinding(finding) {
+  try {
+    return await Word.run(findingAnchor(finding), async (context) => {
+      if (!(await isFindingCurrent(context, finding))) return false;
+
+      (finding.mark || finding.comment.getRange()).select();
+      await context.sync();
+      return true;
+    });
+  } catch (e) {
+    console.error("selectFinding error", e);
+    return false;
+  }
+}
+
+/**
+ * Replace one mismatch with its suggested preposition, as a tracked
+ * change with an explanatory comment if the settings ask for it.
+ * @returns {Promise<boolean>} true if the text was changed
+ */
+export async function acceptFinding(finding) {
+  if (finding.ambiguous) return false;
+  const settings = loadSettings();
 
   try {
-    await Word.run(async context => {
-      const opts = { matchWholeWord: true, matchCase: false };
-      const scanRanges = await collectScanRanges(context);
-
-      for (const rng of scanRanges) {
-        const sRes = rng.search("s", opts);
-        const zRes = rng.search("z", opts);
-        const kRes = rng.search("k", opts);
-        const hRes = rng.search("h", opts);
-        sRes.load("items"); zRes.load("items");
-        kRes.load("items"); hRes.load("items");
+    return await Word.run(findingAnchor(finding), async (context) => {
+      if (!(await isFindingCurrent(context, finding))) return false;
+
+      if (finding.comment) {
+        finding.comment.content = applyToText(finding.comment.content, [finding]);
+      } else {
+        // drop the mark before tracking starts, so restoring the highlight
+        // is not recorded as a revision next to the correction
+        const target = finding.mark.getRange("Content");
+        unmark(finding.mark);
+        context.trackedObjects.remove(finding.mark);
+        const previous = await beginTracking(context, settings);
+        applyCorrection(target, finding, settings);
+        endTracking(context, previous);
+      }
+      await context.sync();
+      return true;
+    });
+  } catch (e) {
+    console.error("acceptFinding error", e);
+    return false;
+  }
+}
+
+/**
+ * Leave one occurrence as written and clear its mark. The choice is
+ * saved in the document, so later checks and Accept All skip it too.
+ */
+export async function ignoreFinding(finding) {
+  try {
+    await Word.run(findingAnchor(finding), async (context) => {
+      if (finding.mark) {
+        finding.mark.load("title");
         await context.sync();
+        unmark(finding.mark);
+        context.trackedObjects.remove(finding.mark);
+      }
+      await context.sync();
+    });
+    await addIgnored({ key: finding.ignoreKey, context: finding.context });
+  } catch (e) {
+    console.error("ignoreFinding error", e);
+  }
+}
 
-        for (const r of [...sRes.items, ...zRes.items, ...kRes.items, ...hRes.items]) {
-          const raw   = r.text.trim();
-          const lower = raw.toLowerCase();
-          if (!["s","z","k","h"].includes(lower)) continue;
+// ─────────────────────────────────────────────────
+// Live checking: re-check single paragraphs as they change
+// ─────────────────────────────────────────────────
+/**
+ * Re-check paragraphs by id (WordApi 1.6): clear their marks, analyse
+ * them again and mark what is still wrong. Paragraphs whose text is the
+ * same as at their last analysis are skipped.
+ * @param {string[]} ids — uniqueLocalId of each changed paragraph
+ * @returns {Promise<{paragraphIds:string[], findings:Array, order:string[]}>}
+ *   the paragraphs that were re-checked and their findings, which replace
+ *   any earlier ones; order lists the body's paragraph ids as they now
+ *   stand, so the findings can be put in document order
+ */
+export async function recheckParagraphs(ids) {
+  const result = { paragraphIds: [], findings: [], order: [] };
+  const settings = loadSettings();
+  if (!isScanned("body", settings)) return result;
+  const rules = await loadRuleOptions();
 
-          const after = r
-            .getRange("After")
-            .getNextTextRange([" ", "\n", ".", ",", ";", "?", "!"], true);
-          after.load("text");
-          await context.sync();
+  try {
+    await Word.run(async (context) => {
+      const entries = ids.map((id) => {
+        const para = context.document.getParagraphByUniqueLocalId(id);
+        const marks = para.contentControls.getByTag(MARK_TAG);
+        para.load("text,uniqueLocalId");
+        marks.load("items/title");
+        return { story: "body", para, marks };
+      });
+      await context.sync();
+
+      const changed = entries.filter(
+        ({ para }) => lastChecked.get(para.uniqueLocalId) !== para.text
+      );
+      if (!changed.length) return;
+
+      for (const { marks } of changed) {
+        marks.items.forEach(unmark);
+      }
+      for (const { range, ...f } of await locateInParagraphs(context, changed, { rules })) {
+        const mark = markRange(range, range.font.highlightColor, settings.highlightColor);
+        context.trackedObjects.add(mark);
+        result.findings.push({ id: nextFindingId++, mark, ...f });
+      }
+      const body = context.document.body.paragraphs;
+      body.load("items/uniqueLocalId");
+      await context.sync();
 
-          const nxt = after.text.trim();
-          if (!nxt) continue;
+      result.paragraphIds = changed.map(({ para }) => para.uniqueLocalId);
+      result.order = body.items.map((para) => para.uniqueLocalId);
+    });
+  } catch (e) {
+    // typically a paragraph deleted before the debounce fired
+    console.error("recheckParagraphs error", e);
+  }
+
+  return result;
+}
+
+/**
+ * Forget deleted paragraphs so their ids are not compared again.
+ * @param {string[]} ids
+ */
+export function forgetParagraphs(ids) {
+  for (const id of ids) lastChecked.delete(id);
+}
 
-          const expected = determineCorrectPreposition(nxt, lower);
-          if (!expected || expected === lower) continue;
+// ─────────────────────────────────────────────────
+// 2) Accept All: replace every mismatch in one batch
+// ─────────────────────────────────────────────────
+/**
+ * Correct every mismatch. With `trackChanges` set, Word change tracking
+ * is on for these edits (and restored afterwards); with `addComments`,
+ * each correction carries a comment naming the rule.
+ * @param {{onProgress?: (done:number, total:number) => void,
+ *   scope?: "document"|"selection"}} [options]
+ */
+export async function acceptAllChanges({ onProgress, scope = "document" } = {}) {
+  clearNotification(NOTIF_ID);
+  const settings = loadSettings();
+  const rules = await loadRuleOptions();
 
-          const replacement =
-            raw === raw.toUpperCase()
-              ? expected.toUpperCase()
-              : expected;
+  try {
+    await Word.run(async (context) => {
+      const { scanRanges, within } = await collectScope(context, scope);
+
+      // drop the marks first; the corrected letters keep the author's highlight
+      await clearMarks(context, scanRanges);
+
+      const targets = scannedRanges(scanRanges, settings);
+      const located = await locateMismatches(context, targets, { onProgress, rules, within });
+      const previous = await beginTracking(context, settings);
+      await handleOnce(
+        context,
+        located.filter((f) => !f.ambiguous),
+        {
+          probe: ({ range }) => range.load("text"),
+          done: (f, range) => range.text.trim() !== f.original,
+          handle: (f) => applyCorrection(f.range, f, settings),
+        }
+      );
 
-          context.trackedObjects.add(r);
-          r.insertText(replacement, Word.InsertLocation.replace);
-          r.font.highlightColor = null;
+      const comments = await scannedComments(context, within, settings);
+      for (const comment of comments) {
+        const mismatches = findMismatchesInText(comment.content, rules);
+        if (mismatches.length) {
+          comment.content = applyToText(comment.content, mismatches);
         }
       }
 
+      endTracking(context, previous);
       await context.sync();
     });
 
     showNotification(NOTIF_ID, {
       type: "informationalMessage",
       message: "Accepted all!",
-      icon: "Icon.80x80"
+      icon: "Icon.80x80",
     });
   } catch (e) {
     console.error("acceptAllChanges error", e);
     showNotification(NOTIF_ID, {
       type: "errorMessage",
-      message: "Accept all failed."
+      message: "Accept all failed.",
     });
   }
 }
 
 // ─────────────────────────────────────────────────
-// 3) Reject All: clear every pink mismatch
+// 3) Reject All: clear every mark, restoring prior highlights
 // ─────────────────────────────────────────────────
-export async function rejectAllChanges() {
+/**
+ * @param {{scope?: "document"|"selection"}} [options]
+ */
+export async function rejectAllChanges({ scope = "document" } = {}) {
   clearNotification(NOTIF_ID);
 
   try {
-    await Word.run(async context => {
-      const opts = { matchWholeWord: true, matchCase: false };
-      const scanRanges = await collectScanRanges(context);
-
-      for (const rng of scanRanges) {
-        const sRes = rng.search("s", opts);
-        const zRes = rng.search("z", opts);
-        const kRes = rng.search("k", opts);
-        const hRes = rng.search("h", opts);
-        sRes.load("items"); zRes.load("items");
-        kRes.load("items"); hRes.load("items");
-        await context.sync();
+    await Word.run(async (context) => {
+      const { scanRanges } = await collectScope(context, scope);
+      await clearMarks(context, scanRanges);
+      await context.sync();
+    });
 
-        for (const r of [...sRes.items, ...zRes.items, ...kRes.items, ...hRes.items]) {
-          const raw = r.text.trim();
-          if (!/^[sSzZkKhH]$/.test(raw)) continue;
-          context.trackedObjects.add(r);
-          r.font.highlightColor = null;
-        }
+    showNotification(NOTIF_ID, {
+      type: "informationalMessage",
+      message: "Cleared all!",
+      icon: "Icon.80x80",
+    });
+  } catch (e) {
+    console.error("rejectAllChanges error", e);
+    showNotification(NOTIF_ID, {
+      type: "errorMessage",
+      message: "Reject all failed.",
+    });
+  }
+}
+
+// ─────────────────────────────────────────────────
+// 4) Selection only: the same three commands, scoped to the selection
+// ─────────────────────────────────────────────────
+export async function checkSelectionText(options = {}) {
+  return checkDocumentText({ ...options, scope: "selection" });
+}
+
+export async function acceptSelectionChanges(options = {}) {
+  return acceptAllChanges({ ...options, scope: "selection" });
+}
+
+export async function rejectSelectionChanges(options = {}) {
+  return rejectAllChanges({ ...options, scope: "selection" });
+}
+
+// ─────────────────────────────────────────────────
+// 5) Non-breaking spaces after one-letter words
+// ─────────────────────────────────────────────────
+/**
+ * Replace the space after every one-letter word, leaving the letter
+ * (and any mark on it) alone.
+ * @param {Array<{para:Word.Paragraph}>} entries — paragraphs with text loaded
+ * @returns {Promise<number>} how many spaces were replaced
+ */
+async function swapSpacesInParagraphs(context, entries, from, to, onProgress) {
+  const pending = [];
+  for (const entry of entries) {
+    const found = findSpacesAfterOneLetter(entry.para.text, from);
+    if (found.length) pending.push({ ...entry, found });
+  }
+
+  const opts = { matchPrefix: true, matchCase: false };
+  let swapped = 0;
+  onProgress?.(0, pending.length);
+
+  for (let i = 0; i < pending.length; i += SEARCH_CHUNK) {
+    const chunk = pending.slice(i, i + SEARCH_CHUNK);
+    for (const item of chunk) {
+      item.hits = {};
+      for (const letter of new Set(item.found.map((f) => f.letter))) {
+        item.hits[letter] = item.para.search(letter + from, opts);
+        item.hits[letter].load("items/text");
+      }
+    }
+    await context.sync();
+
+    const candidates = [];
+    for (const { para, found, hits } of chunk) {
+      for (const f of found) {
+        const range = hits[f.letter].items[f.occurrence];
+        // skip if Word's idea of a word start disagrees with ours
+        if (!range || range.text !== f.original + from) continue;
+        candidates.push({ para, range, m: f });
       }
+    }
+    for (const { range } of await verifyOffsets(context, candidates)) {
+      range.search(from).getFirst().insertText(to, Word.InsertLocation.replace);
+      swapped++;
+    }
+    await context.sync();
+    onProgress?.(Math.min(i + SEARCH_CHUNK, pending.length), pending.length);
+  }
+
+  return swapped;
+}
 
+/**
+ * Bind one-letter prepositions and conjunctions (s, z, k, h, v, o, a, i,
+ * u) to the next word with a non-breaking space, or with `unbind` turn
+ * those non-breaking spaces back into ordinary ones. Covers every
+ * scanned story, comments included.
+ * @param {{onProgress?: (done:number, total:number) => void, unbind?:boolean}} [options]
+ * @returns {Promise<number>} how many spaces were replaced
+ */
+export async function fixOneLetterSpaces({ onProgress, unbind = false } = {}) {
+  clearNotification(NOTIF_ID);
+  const [from, to] = unbind ? [NBSP, " "] : [" ", NBSP];
+  const settings = loadSettings();
+  let swapped = 0;
+
+  try {
+    await Word.run(async (context) => {
+      const stories = scannedRanges(await collectScanRanges(context), settings).map(({ range }) => {
+        const paragraphs = range.paragraphs;
+        paragraphs.load("items/text");
+        return paragraphs;
+      });
+      await context.sync();
+
+      const entries = stories.flatMap((paragraphs) => paragraphs.items.map((para) => ({ para })));
+      swapped += await swapSpacesInParagraphs(context, entries, from, to, onProgress);
+
+      for (const comment of await scannedComments(context, null, settings)) {
+        const found = findSpacesAfterOneLetter(comment.content, from);
+        if (found.length) {
+          comment.content = swapSpacesInText(comment.content, found, to);
+          swapped += found.length;
+        }
+      }
       await context.sync();
     });
 
     showNotification(NOTIF_ID, {
       type: "informationalMessage",
-      message: "Cleared all!",
-      icon: "Icon.80x80"
+      message: unbind
+        ? `Restored ${swapped} ordinary spaces.`
+        : `Inserted ${swapped} non-breaking spaces.`,
+      icon: "Icon.80x80",
     });
   } catch (e) {
-    console.error("rejectAllChanges error", e);
+    console.error("fixOneLetterSpaces error", e);
     showNotification(NOTIF_ID, {
       type: "errorMessage",
-      message: "Reject all failed."
+      message: "Replacing spaces failed.",
     });
   }
-}
\ No newline at end of file
+
+  return swapped;
+}
+
+export async function insertNonBreakingSpaces(options = {}) {
+  return fixOneLetterSpaces({ ...options, unbind: false });
+}
+
+export async function removeNonBreakingSpaces(options = {}) {
+  return fixOneLetterSpaces({ ...options, unbind: true });
+}
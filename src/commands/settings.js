@@ -0,0 +1,53 @@
+/* global console, localStorage */
+
+// ─────────────────────────────────────────────────
+// Per-user settings. Word has no roaming settings (those are
+// Outlook-only), so they live in the add-in's local storage, which
+// the task pane and the ribbon commands share.
+// ─────────────────────────────────────────────────
+const STORAGE_KEY = "predlogi.settings";
+
+export const DEFAULT_SETTINGS = {
+  // apply corrections with Word change tracking on
+  trackChanges: false,
+  // attach a comment explaining the rule to each correction
+  addComments: false,
+  // re-check paragraphs while the user types
+  liveCheck: false,
+  // rule families to check: "sz" (s/z) and "kh" (k/h)
+  families: ["sz", "kh"],
+  // colour of the marks on mismatches
+  highlightColor: "#FFC0CB",
+  // parts of the document to scan, see STORY_GROUPS in preposition.js
+  stories: ["body", "headers", "footers", "footnotes", "endnotes", "textBoxes", "comments"],
+  // ask before Accept All corrects the whole document
+  confirmAcceptAll: false,
+};
+
+/**
+ * @returns {typeof DEFAULT_SETTINGS}
+ */
+export function loadSettings() {
+  try {
+    const saved = JSON.parse(localStorage.getItem(STORAGE_KEY) || "{}");
+    return { ...DEFAULT_SETTINGS, ...saved };
+  } catch (e) {
+    console.error("loadSettings error", e);
+    return { ...DEFAULT_SETTINGS };
+  }
+}
+
+/**
+ * Merge a change into the saved settings.
+ * @param {Partial<typeof DEFAULT_SETTINGS>} patch
+ * @returns {typeof DEFAULT_SETTINGS} the settings now in effect
+ */
+export function saveSettings(patch) {
+  const settings = { ...loadSettings(), ...patch };
+  try {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(settings));
+  } catch (e) {
+    console.error("saveSettings error", e);
+  }
+  return settings;
+}
@@ -0,0 +1,14 @@
+/* global document, window, Office, URLSearchParams */
+
+// ─────────────────────────────────────────────────
+// Yes/no dialog for ribbon commands, which have no UI of their own.
+// Answers "yes" or "no" to the command that opened it.
+// ─────────────────────────────────────────────────
+Office.onReady(() => {
+  const params = new URLSearchParams(window.location.search);
+  document.getElementById("question").textContent = params.get("question") || "";
+
+  const answer = (reply) => () => Office.context.ui.messageParent(reply);
+  document.getElementById("yesButton").onclick = answer("yes");
+  document.getElementById("noButton").onclick = answer("no");
+});
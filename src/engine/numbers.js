@@ -0,0 +1,237 @@
+// ─────────────────────────────────────────────────
+// Slovene number reader: turns a numeric token into the words a
+// speaker would say, so the preposition can follow the first sound
+// ─────────────────────────────────────────────────
+
+const UNITS = [
+  "nič",
+  "ena",
+  "dva",
+  "tri",
+  "štiri",
+  "pet",
+  "šest",
+  "sedem",
+  "osem",
+  "devet",
+  "deset",
+  "enajst",
+  "dvanajst",
+  "trinajst",
+  "štirinajst",
+  "petnajst",
+  "šestnajst",
+  "sedemnajst",
+  "osemnajst",
+  "devetnajst",
+];
+
+const TENS = [
+  "",
+  "",
+  "dvajset",
+  "trideset",
+  "štirideset",
+  "petdeset",
+  "šestdeset",
+  "sedemdeset",
+  "osemdeset",
+  "devetdeset",
+];
+
+const HUNDREDS = [
+  "",
+  "sto",
+  "dvesto",
+  "tristo",
+  "štiristo",
+  "petsto",
+  "šeststo",
+  "sedemsto",
+  "osemsto",
+  "devetsto",
+];
+
+// ordinal forms that are not just "cardinal + i"
+const ORDINAL_UNITS = {
+  nič: "ničti",
+  ena: "prvi",
+  dva: "drugi",
+  tri: "tretji",
+  štiri: "četrti",
+  pet: "peti",
+  šest: "šesti",
+  sedem: "sedmi",
+  osem: "osmi",
+  devet: "deveti",
+  deset: "deseti",
+};
+
+// singular, dual, plural (3–4), plural (5+)
+const MILLION = ["milijon", "milijona", "milijoni", "milijonov"];
+const BILLION = ["milijarda", "milijardi", "milijarde", "milijard"];
+const PERCENT = ["odstotek", "odstotka", "odstotki", "odstotkov"];
+const PERMILLE = ["promil", "promila", "promili", "promilov"];
+const WHOLE = ["cela", "celi", "cele", "celih"];
+
+// largest integer we read as a number; longer digit runs are read digit by digit
+const MAX_READABLE = 999999999999;
+
+/**
+ * Pick the grammatical number form that follows n.
+ * @param {number} n
+ * @param {string[]} forms — [singular, dual, plural 3–4, plural 5+]
+ */
+function pluralForm(n, forms) {
+  const r = n % 100;
+  if (r === 1) return forms[0];
+  if (r === 2) return forms[1];
+  if (r === 3 || r === 4) return forms[2];
+  return forms[3];
+}
+
+function below100(n) {
+  if (n < 20) return UNITS[n];
+  const t = Math.floor(n / 10);
+  const u = n % 10;
+  return u ? `${UNITS[u]}in${TENS[t]}` : TENS[t];
+}
+
+function below1000(n) {
+  const parts = [];
+  const h = Math.floor(n / 100);
+  const r = n % 100;
+  if (h) parts.push(HUNDREDS[h]);
+  if (r) parts.push(below100(r));
+  return parts.join(" ");
+}
+
+// "dva" becomes "dve" in front of a feminine noun (milijarda, cela)
+function feminine(words) {
+  return words === "dva" ? "dve" : words;
+}
+
+/**
+ * Read a non-negative integer as Slovene cardinal words.
+ * @param {number} n
+ * @returns {string}   e.g. 1991 → "tisoč devetsto enaindevetdeset"
+ */
+export function cardinalWords(n) {
+  if (n === 0) return UNITS[0];
+
+  const parts = [];
+  const billions = Math.floor(n / 1e9);
+  const millions = Math.floor(n / 1e6) % 1000;
+  const thousands = Math.floor(n / 1e3) % 1000;
+  const rest = n % 1000;
+
+  if (billions) {
+    if (billions > 1) parts.push(feminine(below1000(billions)));
+    parts.push(pluralForm(billions, BILLION));
+  }
+  if (millions) {
+    if (millions > 1) parts.push(below1000(millions));
+    parts.push(pluralForm(millions, MILLION));
+  }
+  if (thousands) {
+    if (thousands > 1) parts.push(below1000(thousands));
+    parts.push("tisoč");
+  }
+  if (rest) parts.push(below1000(rest));
+
+  return parts.join(" ");
+}
+
+function ordinalize(word) {
+  if (ORDINAL_UNITS[word]) return ORDINAL_UNITS[word];
+  if (word === "tisoč") return "tisoči";
+  if (word.startsWith("milijon")) return "milijonti";
+  if (word.startsWith("milijard")) return "milijardti";
+  if (word.endsWith("sto")) return `${word}ti`;
+  // -najst, -deset, -dvajset and compounds like enaindvajset
+  return `${word}i`;
+}
+
+/**
+ * Read a non-negative integer as a Slovene ordinal ("7." → "sedmi").
+ * Only the last word changes form: 101. → "sto prvi".
+ * @param {number} n
+ * @returns {string}
+ */
+export function ordinalWords(n) {
+  const words = cardinalWords(n).split(" ");
+  words.push(ordinalize(words.pop()));
+  return words.join(" ");
+}
+
+// read a digit string, falling back to digit-by-digit for huge values
+function readDigits(digits) {
+  const n = Number(digits);
+  if (n > MAX_READABLE) {
+    return [...digits].map((d) => UNITS[Number(d)]).join(" ");
+  }
+  return cardinalWords(n);
+}
+
+// decimal places are read as a number, each leading zero as "nič"
+function readFraction(digits) {
+  const zeros = digits.match(/^0*/)[0];
+  const rest = digits.slice(zeros.length);
+  const words = [...zeros].map(() => UNITS[0]);
+  if (rest) words.push(readDigits(rest));
+  return words.join(" ");
+}
+
+// integer grouped by thousands: 1.000.000, 1 000, 10 000
+const GROUPED = /^\d{1,3}(?:[.\u00A0\u202F ]\d{3})+(?!\d)/;
+const PLAIN = /^\d+/;
+const DECIMAL = /^[,.](\d+)/;
+const SUFFIX = /^\s*([%‰])/;
+const RANGE = /^\s*[-–—]\s*(?=\d)/;
+
+/**
+ * Read the leading number of a token.
+ * Handles cardinals (100), years (1991), ordinals (7.), decimals (3,5),
+ * thousands separators (1.000, 1 000), percentages (5 %, 2,5‰) and
+ * ranges (5–7).
+ * @param {string} token — the word following a preposition
+ * @returns {string|null} spoken Slovene words, or null if no number
+ */
+export function readNumber(token) {
+  const text = (token || "").trim();
+
+  const m = GROUPED.exec(text) || PLAIN.exec(text);
+  if (!m) return null;
+
+  const digits = m[0].replace(/\D/g, "");
+  let rest = text.slice(m[0].length);
+  let words;
+  let count = Number(digits);
+
+  const dec = DECIMAL.exec(rest);
+  if (dec) {
+    // 3,5 → "tri cele pet"; 1.000 never gets here, GROUPED took it
+    words = `${feminine(readDigits(digits))} ${pluralForm(count, WHOLE)} ${readFraction(dec[1])}`;
+    rest = rest.slice(dec[0].length);
+    count = 2; // decimals take the dual/plural "odstotka"
+  } else if (rest[0] === "." && !/^\.\d/.test(rest)) {
+    // a trailing dot after a plain number marks an ordinal
+    return count > MAX_READABLE ? readDigits(digits) : ordinalWords(count);
+  } else {
+    words = readDigits(digits);
+  }
+
+  const suffix = SUFFIX.exec(rest);
+  if (suffix) {
+    const unit = suffix[1] === "%" ? PERCENT : PERMILLE;
+    return `${words} ${pluralForm(count, unit)}`;
+  }
+
+  const range = RANGE.exec(rest);
+  if (range) {
+    const upper = readNumber(rest.slice(range[0].length));
+    if (upper) return `${words} do ${upper}`;
+  }
+
+  return words;
+}
@@ -0,0 +1,323 @@
+import { readNumber } from "./numbers.js";
+
+// ─────────────────────────────────────────────────
+// Pronunciation: what a reader actually says for the word after a
+// preposition. S/Z and K/H follow the first spoken sound, not the
+// first written letter: "z FDV" (ef-de-ve), "s §" (paragraf),
+// "s Chopinom" (šopen).
+// ─────────────────────────────────────────────────
+
+// Slovene letter names, used for abbreviations spelled letter by letter
+const LETTER_NAMES = {
+  a: "a",
+  b: "be",
+  c: "ce",
+  č: "če",
+  ć: "će",
+  d: "de",
+  đ: "đe",
+  e: "e",
+  f: "ef",
+  g: "ge",
+  h: "ha",
+  i: "i",
+  j: "je",
+  k: "ka",
+  l: "el",
+  m: "em",
+  n: "en",
+  o: "o",
+  p: "pe",
+  q: "ku",
+  r: "er",
+  s: "es",
+  š: "eš",
+  t: "te",
+  u: "u",
+  v: "ve",
+  w: "dvojni ve",
+  x: "iks",
+  y: "ipsilon",
+  z: "ze",
+  ž: "že",
+};
+
+// how symbols are read aloud
+const SYMBOLS = {
+  "§": "paragraf",
+  "%": "odstotek",
+  "‰": "promil",
+  "°": "stopinj",
+  "€": "evro",
+  $: "dolar",
+  "£": "funt",
+  "¥": "jen",
+  "&": "in",
+  "@": "afna",
+  "#": "lojtra",
+  "*": "zvezdica",
+  "/": "poševnica",
+  "+": "plus",
+  "-": "minus",
+  "−": "minus",
+  "±": "plus minus",
+  "×": "krat",
+  "÷": "deljeno",
+  "=": "je enako",
+  "≈": "približno",
+  "~": "približno",
+  "<": "manj kot",
+  ">": "več kot",
+  "≤": "manj ali enako",
+  "≥": "več ali enako",
+  "√": "koren",
+  "∞": "neskončno",
+  "©": "kopirajt",
+  "®": "registrirana znamka",
+  "™": "blagovna znamka",
+  α: "alfa",
+  β: "beta",
+  γ: "gama",
+  δ: "delta",
+  Δ: "delta",
+  ε: "epsilon",
+  λ: "lambda",
+  μ: "mi",
+  π: "pi",
+  σ: "sigma",
+  Σ: "sigma",
+  φ: "fi",
+  ω: "omega",
+  Ω: "omega",
+};
+
+/**
+ * Is `ch` a symbol that is read aloud by name ("s §" → paragraf)?
+ * @param {string} ch
+ * @returns {boolean}
+ */
+export function isSpokenSymbol(ch) {
+  return Object.hasOwn(SYMBOLS, ch);
+}
+
+// Foreign names and brands whose first sound differs from their spelling.
+// Keys are lowercase stems; inflected forms ("Chopinom") match by prefix.
+const LEXICON = new Map(
+  Object.entries({
+    // French
+    chopin: "šopen",
+    chanel: "šanel",
+    champagne: "šampanj",
+    chevrolet: "ševrolet",
+    citroën: "citroen",
+    citroen: "citroen",
+    chirac: "širak",
+    charlotte: "šarlot",
+    hugo: "igo",
+    jacques: "žak",
+    jean: "žan",
+    gérard: "žerar",
+    gerard: "žerar",
+    genève: "ženeva",
+    geneve: "ženeva",
+    gillette: "žilet",
+    cézanne: "sezan",
+    cezanne: "sezan",
+    // German
+    schumacher: "šumaher",
+    schubert: "šubert",
+    schiller: "šiler",
+    schwarz: "švarc",
+    schmidt: "šmit",
+    schneider: "šnajder",
+    zeiss: "cajs",
+    zürich: "cirih",
+    zurich: "cirih",
+    zeppelin: "cepelin",
+    volkswagen: "folksvagen",
+    volkswagn: "folksvagen",
+    vogel: "fogel",
+    goethe: "gete",
+    wagner: "vagner",
+    würzburg: "vircburg",
+    heine: "hajne",
+    // Italian and Spanish
+    giorg: "džordž",
+    giovann: "džovan",
+    giusepp: "džuzep",
+    giann: "džan",
+    gucci: "guči",
+    cicero: "čičero",
+    juan: "huan",
+    josé: "hose",
+    jorge: "horhe",
+    javier: "havier",
+    xavier: "ksavier",
+    // English
+    shakespeare: "šekspir",
+    sheffield: "šefild",
+    chelsea: "čelsi",
+    chicago: "šikago",
+    charles: "čarls",
+    george: "džordž",
+    john: "džon",
+    jack: "džek",
+    james: "džejms",
+    jazz: "džez",
+    jeep: "džip",
+    cambridge: "kembridž",
+    calvin: "kelvin",
+    "coca-cola": "koka kola",
+    colgate: "kolgejt",
+    cisco: "sisko",
+    seattle: "sietl",
+    hyundai: "hjundaj",
+    xerox: "zeroks",
+    xbox: "iksboks",
+    xiaomi: "šaomi",
+    iphone: "ajfon",
+    ipad: "ajped",
+    wikipedia: "vikipedija",
+    whatsapp: "vocap",
+    wifi: "vajfaj",
+    youtube: "jutjub",
+    yahoo: "jahu",
+    // Polish and Czech
+    łódź: "vuč",
+    lodz: "vuč",
+  })
+);
+
+// two-consonant onsets a Slovene word may start with; an abbreviation
+// opening with anything else is spelled out
+const ONSETS = new Set([
+  "bl",
+  "br",
+  "čl",
+  "čr",
+  "dr",
+  "gl",
+  "gn",
+  "gr",
+  "hl",
+  "hr",
+  "kl",
+  "kr",
+  "kv",
+  "ml",
+  "mr",
+  "pl",
+  "pr",
+  "sk",
+  "sl",
+  "sm",
+  "sn",
+  "sp",
+  "st",
+  "sv",
+  "šk",
+  "šp",
+  "št",
+  "tr",
+  "vl",
+  "vr",
+  "zb",
+  "zd",
+  "zg",
+  "zl",
+  "zm",
+  "zn",
+  "zv",
+  "žl",
+  "žr",
+]);
+
+const VOWELS = /[aeiou]/;
+
+const MIN_STEM = 3;
+
+// copy lexicon entries into `lexicon`, keyed by lowercase stem
+function addEntries(lexicon, entries) {
+  for (const [stem, spoken] of Object.entries(entries || {})) {
+    const key = stem.normalize("NFC").toLowerCase();
+    if (key.length >= MIN_STEM && spoken) lexicon.set(key, spoken.normalize("NFC").toLowerCase());
+  }
+  return lexicon;
+}
+
+/**
+ * Add entries to the built-in pronunciation lexicon, for every later check.
+ * @param {Object<string,string>} entries — lowercase stem → Slovene respelling,
+ *   e.g. { "chopin": "šopen" }; later entries override earlier ones
+ */
+export function addPronunciations(entries) {
+  addEntries(LEXICON, entries);
+}
+
+/**
+ * Prepare a user's own entries for spokenForm, e.g. from the add-in's
+ * settings or a CLI lexicon file. They take precedence over the built-in
+ * lexicon but don't change it.
+ * @param {Object<string,string>} entries — stem → Slovene respelling
+ * @returns {Map<string,string>}
+ */
+export function userLexicon(entries) {
+  return addEntries(new Map(), entries);
+}
+
+// longest stem that starts the word, the user's entries first
+function lookupLexicon(lower, own) {
+  for (const lexicon of own ? [own, LEXICON] : [LEXICON]) {
+    for (let len = lower.length; len >= MIN_STEM; len--) {
+      const spoken = lexicon.get(lower.slice(0, len));
+      if (spoken) return spoken + lower.slice(len);
+    }
+  }
+  return null;
+}
+
+// is an all-caps abbreviation read as a word (SAZU, NATO) rather than
+// letter by letter (FDV, STA)?
+function readAsWord(abbr) {
+  const lower = abbr.toLowerCase();
+  if (lower.length < 3) return false;
+  // a vowel only at the very end (STA, ZDA) still gets spelled
+  if (!VOWELS.test(lower.slice(0, -1))) return false;
+  const lead = lower.match(/^[^aeiou]*/)[0];
+  return lead.length < 2 || (lead.length === 2 && ONSETS.has(lead));
+}
+
+function spellOut(abbr) {
+  return [...abbr.toLowerCase()].map((ch) => LETTER_NAMES[ch] || ch).join(" ");
+}
+
+/**
+ * Spoken form of the word that follows a preposition.
+ * Numbers are read aloud, symbols by name, known foreign names by their
+ * lexicon respelling and all-caps abbreviations letter by letter when
+ * they are not pronounceable as a word.
+ * @param {string} word — the following word, already trimmed
+ * @param {Map<string,string>} [own] — the user's entries, from userLexicon
+ * @returns {string} lowercase spoken form; its first letter is the first sound
+ */
+export function spokenForm(word, own) {
+  const w = word.normalize("NFC");
+
+  const number = readNumber(w);
+  if (number) return number;
+
+  if (SYMBOLS[w[0]]) return SYMBOLS[w[0]];
+
+  const lower = w.toLowerCase();
+  const known = lookupLexicon(lower, own);
+  if (known) return known;
+
+  // a lone letter is read by its name: "s F" → "ef"
+  if (/^\p{L}$/u.test(w)) return LETTER_NAMES[lower] || lower;
+
+  // leading all-caps run, optionally followed by an inflection: FDV-ju, NLB
+  const abbr = w.match(/^\p{Lu}{2,}(?=$|[^\p{Ll}])/u);
+  if (abbr && !readAsWord(abbr[0])) return spellOut(abbr[0]);
+
+  return lower;
+}
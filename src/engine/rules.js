@@ -0,0 +1,420 @@
+import { spokenForm, userLexicon } from "./pronunciation.js";
+import { nextWord as readNextWord } from "./tokenizer.js";
+
+// ─────────────────────────────────────────────────
+// Rule engine: decides s/z and k/h on plain text. Nothing here touches
+// Word or Office, so the add-in, the command-line checker and anything
+// else can share it.
+// ─────────────────────────────────────────────────
+
+const UNVOICED = new Set(["c", "č", "f", "h", "k", "p", "s", "š", "t"]);
+const VOWELS = new Set(["a", "e", "i", "o", "u"]);
+const SONORANT = new Set(["j", "l", "m", "n", "r", "v"]);
+
+// the spoken form of the next word, or null if there is nothing to read
+function spokenNext(nextWord, lexicon) {
+  if (!nextWord) return null;
+
+  // normalize and trim
+  const nw = nextWord.normalize("NFC").trim();
+  if (!nw) return null;
+
+  // decide by the first spoken sound: "100" → "sto", "FDV" → "ef-de-ve"
+  return spokenForm(nw, lexicon);
+}
+
+const FAMILY = { s: "sz", z: "sz", k: "kh", h: "kh" };
+
+// the user's own choice for this word form, if it is in the same family
+function exceptionFor(nextWord, prepLower, exceptions) {
+  if (!exceptions) return null;
+  const form = nextWord
+    .normalize("NFC")
+    .trim()
+    .toLowerCase()
+    .replace(/[^\p{L}\p{N}]+$/u, "");
+  const choice = exceptions[form];
+  return choice && FAMILY[choice] === FAMILY[prepLower] ? choice : null;
+}
+
+/**
+ * Decide correct preposition for S/Z and K/H.
+ * @param {string} nextWord    — the text of the following word, up to the next
+ *                               whitespace (so "7.", "3,5" and "5–7" arrive whole)
+ * @param {string} prepLower   — the candidate preposition, already lowercased ("s","z","k" or "h")
+ * @param {Object<string,string>} [exceptions] — personal word form → preposition
+ * @param {Map<string,string>} [lexicon] — the user's pronunciations, from userLexicon
+ * @returns {"s"|"z"|"k"|"h"|null}
+ */
+function determineCorrectPreposition(nextWord, prepLower, exceptions, lexicon) {
+  const own = nextWord && exceptionFor(nextWord, prepLower, exceptions);
+  if (own) return own;
+
+  const spoken = spokenNext(nextWord, lexicon);
+  if (!spoken) return null;
+  const key = spoken[0];
+
+  // S/Z logic: unvoiced ⇒ "s", otherwise "z"
+  if (prepLower === "s" || prepLower === "z") {
+    return UNVOICED.has(key) ? "s" : "z";
+  }
+
+  // K/H logic: before k or g ⇒ "h", otherwise "k"
+  if (prepLower === "k" || prepLower === "h") {
+    return key === "k" || key === "g" ? "h" : "k";
+  }
+
+  return null;
+}
+
+/**
+ * Explain the rule behind a correction, for comments on tracked changes,
+ * e.g. "pred nezvenečim soglasnikom 'p' → s".
+ * @param {string} nextWord
+ * @param {string} expected — the result of determineCorrectPreposition
+ * @param {Object<string,string>} [exceptions]
+ * @param {Map<string,string>} [lexicon]
+ * @returns {string}
+ */
+function explainPreposition(nextWord, expected, exceptions, lexicon) {
+  if (exceptionFor(nextWord, expected, exceptions) === expected) {
+    return `osebna izjema za »${nextWord.trim()}« → ${expected}`;
+  }
+
+  const spoken = spokenNext(nextWord, lexicon);
+  const key = spoken[0];
+
+  let sound;
+  if (expected === "s") sound = `nezvenečim soglasnikom '${key}'`;
+  else if (expected === "h") sound = `soglasnikom '${key}'`;
+  else if (VOWELS.has(key)) sound = `samoglasnikom '${key}'`;
+  else if (SONORANT.has(key)) sound = `zvočnikom '${key}'`;
+  else if (expected === "z") sound = `zvenečim soglasnikom '${key}'`;
+  else sound = `glasom '${key}'`;
+
+  // say how the word is read when that is what decided it
+  const written = nextWord.normalize("NFC").trim().toLowerCase();
+  const reading = spoken.startsWith(written) ? "" : `»${nextWord.trim()}« se bere »${spoken}«; `;
+
+  return `${reading}pred ${sound} → ${expected}`;
+}
+
+// ─────────────────────────────────────────────────
+// Classifier: is a standalone s/z/k/h really a preposition?
+// "5 s" (seconds), "3 h" (hours), "km/h", "h) točka", "(k)",
+// "k je konstanta", "x = k + 1" and "K in Na" are not. "Leta 2020 h
+// očetu" may be either: an s or h after a number with a word after it.
+// ─────────────────────────────────────────────────
+// seconds and hours
+const UNIT_LETTERS = new Set(["s", "h"]);
+
+const OPERATORS = /[=+\-−*/^_×·÷<>≤≥±≈]/;
+
+// a hyphen or asterisk with space (or the line's edge) on both sides is
+// a dash or a list bullet, not an operator: "- z avtom", "Izlet - z avtom"
+const DASH_OR_BULLET = /[-*]/;
+
+// words that cannot open the phrase a preposition governs
+const NOT_AFTER_PREP = new Set([
+  "je",
+  "so",
+  "sta",
+  "bo",
+  "bodo",
+  "bosta",
+  "bi",
+  "ni",
+  "niso",
+  "naj",
+  "in",
+  "ali",
+  "pa",
+  "ter",
+  "oziroma",
+  "ki",
+  "da",
+]);
+
+// is the character at i an operator in a formula?
+function isOperatorAt(text, i) {
+  const ch = text[i];
+  if (!ch || !OPERATORS.test(ch)) return false;
+  if (!DASH_OR_BULLET.test(ch)) return true;
+  const spaced = (c) => c === undefined || /\s/.test(c);
+  return !(spaced(text[i - 1]) && spaced(text[i + 1]));
+}
+
+// an operator with an operand beyond it: the "=" of "x = k", the "+" of "k + 1"
+function isBinaryOperatorAt(text, i, step) {
+  if (!isOperatorAt(text, i)) return false;
+  const beyond = step < 0 ? text.slice(0, i).trimEnd() : text.slice(i + 1).trimStart();
+  return beyond.length > 0;
+}
+
+/**
+ * Classify the standalone letter at `index`.
+ * @param {string} text
+ * @param {number} index — position of the letter in text
+ * @param {string|undefined} nextWord — the word after it, if any
+ * @returns {"preposition"|"unitOrPreposition"|"unit"|"listMarker"|"variable"}
+ *   unitOrPreposition: an s or h after a number, followed by a word
+ */
+function classifyStandalone(text, index, nextWord) {
+  const before = text.slice(0, index);
+  const prev = before[before.length - 1];
+  const next = text[index + 1];
+  const prevNonSpace = before.trimEnd().slice(-1);
+  const nextNonSpace = text.slice(index + 1).trimStart()[0];
+
+  // a letter alone in its paragraph or table cell is a symbol, not a preposition
+  if (!prevNonSpace && !nextNonSpace) return "variable";
+
+  // inside a compound unit: "km/h"
+  if (prev === "/" || next === "/") return "unit";
+
+  // after a number only s and h can be units ("leta 1991 k babici" is a
+  // preposition); with a word to govern ("leta 2020 h očetu") they may
+  // be prepositions too
+  if (UNIT_LETTERS.has(text[index].toLowerCase()) && /\d/.test(prevNonSpace)) {
+    const governs =
+      nextWord && /^\p{L}/u.test(nextWord) && !NOT_AFTER_PREP.has(nextWord.toLowerCase());
+    return governs ? "unitOrPreposition" : "unit";
+  }
+
+  // enumeration: "h) točka", "(k)", "k. točka"
+  if (next === ")" || next === ".") return "listMarker";
+
+  // formula: an operator touching the letter ("k·t", "2*k") or one
+  // with an operand beyond it ("x = k + 1")
+  if (isOperatorAt(text, index - 1) || isOperatorAt(text, index + 1)) return "variable";
+  const prevAt = before.trimEnd().length - 1;
+  const nextAt = text.length - text.slice(index + 1).trimStart().length;
+  if (isBinaryOperatorAt(text, prevAt, -1) || isBinaryOperatorAt(text, nextAt, 1))
+    return "variable";
+
+  // a verb or conjunction follows: "k je konstanta", "K in Na"
+  if (nextWord && NOT_AFTER_PREP.has(nextWord.toLowerCase())) return "variable";
+
+  return "preposition";
+}
+
+// ─────────────────────────────────────────────────
+// Utility: find mismatches in plain text
+// ─────────────────────────────────────────────────
+// an apostrophe before the letter makes it part of a word ("It's"), as Word sees it
+const STANDALONE_PREP = /(?<![\p{L}\p{N}'’])[szkh](?![\p{L}\p{N}])/giu;
+
+/**
+ * Analyse a paragraph (or comment) without touching the document.
+ * `occurrence` counts the standalone letters of the same kind before
+ * this one, which is the index Word's whole-word search returns it at.
+ * Prepositions whose next word can't be told (end of a paragraph, a
+ * dash) come back flagged `ambiguous`, with the letter as replacement.
+ * @param {string} text
+ * @param {{exceptions?:Object<string,string>, ignored?:Set<string>,
+ *   families?:Array<"sz"|"kh">, pronunciations?:Object<string,string>}} [rules]
+ *   personal exceptions, fingerprints of occurrences to leave alone, the
+ *   rule families to check (both if not given) and the user's own
+ *   pronunciations (stem → respelling, e.g. { "chopin": "šopen" })
+ * @returns {{inspected:number, mismatches:Array<{offset:number, letter:string,
+ *   occurrence:number, original:string, replacement:string, nextWord:string,
+ *   reason:string, ignoreKey:string, ambiguous?:boolean}>}}
+ *   inspected counts every standalone preposition that was judged
+ */
+export function inspectText(text, { exceptions, ignored, families, pronunciations } = {}) {
+  const lexicon = pronunciations && userLexicon(pronunciations);
+  const found = [];
+  const seen = { s: 0, z: 0, k: 0, h: 0 };
+  let inspected = 0;
+
+  for (const m of text.matchAll(STANDALONE_PREP)) {
+    const raw = m[0];
+    const letter = raw.toLowerCase();
+    const occurrence = seen[letter]++;
+    if (families && !families.includes(FAMILY[letter])) continue;
+
+    const next = readNextWord(text, m.index + 1);
+    const kind = classifyStandalone(text, m.index, next?.word);
+    if (kind !== "preposition" && kind !== "unitOrPreposition") continue;
+    if (!next) continue;
+    inspected++;
+
+    const ambiguous = (why, nextWord) => {
+      const ignoreKey = fingerprint(text, m.index);
+      if (ignored?.has(ignoreKey)) return;
+      found.push({
+        offset: m.index,
+        letter,
+        occurrence,
+        original: raw,
+        replacement: raw,
+        nextWord,
+        reason: `ni mogoče določiti: ${why}`,
+        ignoreKey,
+        ambiguous: true,
+      });
+    };
+
+    if (next.ambiguous) {
+      ambiguous(next.ambiguous, "");
+      continue;
+    }
+
+    const expected = determineCorrectPreposition(next.word, letter, exceptions, lexicon);
+    if (!expected || expected === letter) continue;
+
+    // wrong only if it is a preposition; leave the call to the user
+    if (kind === "unitOrPreposition") {
+      ambiguous(`za številom je lahko enota, kot predlog bi bil »${expected}«`, next.word);
+      continue;
+    }
+
+    const ignoreKey = fingerprint(text, m.index);
+    if (ignored?.has(ignoreKey)) continue;
+
+    found.push({
+      offset: m.index,
+      letter,
+      occurrence,
+      original: raw,
+      replacement: raw === raw.toUpperCase() ? expected.toUpperCase() : expected,
+      nextWord: next.word,
+      reason: explainPreposition(next.word, expected, exceptions, lexicon),
+      ignoreKey,
+    });
+  }
+  return { inspected, mismatches: found };
+}
+
+// mismatches with a correction to apply; ambiguous ones are left to the user
+export function findMismatchesInText(text, rules) {
+  return inspectText(text, rules).mismatches.filter((m) => !m.ambiguous);
+}
+
+// rewrite plain text (a comment, a line of a file) with the given mismatches corrected
+export function applyToText(text, mismatches) {
+  let out = text;
+  // right to left so earlier offsets stay valid
+  for (const m of [...mismatches].sort((a, b) => b.offset - a.offset)) {
+    if (out[m.offset] !== m.original) continue;
+    out = out.slice(0, m.offset) + m.replacement + out.slice(m.offset + 1);
+  }
+  return out;
+}
+
+// ─────────────────────────────────────────────────
+// Utility: cut the sentence around an offset out of a paragraph
+// ─────────────────────────────────────────────────
+export function sentenceAt(paragraphText, offset) {
+  const text = (paragraphText || "").replace(/\s/g, " ");
+
+  // walk outwards to the nearest sentence boundaries
+  let start = offset;
+  while (start > 0 && !/[.!?]/.test(text[start - 1])) start--;
+  let end = offset + 1;
+  while (end < text.length && !/[.!?]/.test(text[end])) end++;
+
+  const before = text.slice(start, offset).replace(/ +/g, " ").trimStart();
+  const after = text
+    .slice(offset, end + 1)
+    .replace(/ +/g, " ")
+    .trimEnd();
+  return { context: before + after, contextOffset: before.length };
+}
+
+// ─────────────────────────────────────────────────
+// Fingerprints: identify an occurrence by the text around it
+// ─────────────────────────────────────────────────
+// characters of context either side that identify an occurrence
+const FINGERPRINT_SPAN = 20;
+
+/**
+ * Identify an occurrence by the text around it, so the key survives
+ * edits elsewhere in the document.
+ * @param {string} text — paragraph or comment text
+ * @param {number} offset — position of the preposition
+ * @returns {string}
+ */
+export function fingerprint(text, offset) {
+  const squash = (str) => str.replace(/\s+/g, " ");
+  const before = squash(text.slice(Math.max(0, offset - FINGERPRINT_SPAN), offset));
+  const after = squash(text.slice(offset + 1, offset + 1 + FINGERPRINT_SPAN));
+  return `${before}|${text[offset]}|${after}`;
+}
+
+// ─────────────────────────────────────────────────
+// Non-breaking spaces after one-letter words
+// ─────────────────────────────────────────────────
+// one-letter prepositions and conjunctions that must not end a line
+const ONE_LETTER = /(?<![\p{L}\p{N}'’])[szkhvoaiu](?=[ \u00A0])/giu;
+export const NBSP = "\u00A0";
+
+/**
+ * Find the spaces after one-letter words that should be swapped.
+ * Standalone s/z/k/h only count as prepositions ("5 s" is a unit).
+ * @param {string} text
+ * @param {string} from — the space to replace, " " or NBSP
+ * @returns {Array<{offset:number, letter:string, occurrence:number, original:string}>}
+ *   offset is the letter's; occurrence counts earlier letters of the same
+ *   kind followed by `from`, the index Word's prefix search returns it at
+ */
+export function findSpacesAfterOneLetter(text, from) {
+  const seen = {};
+  const found = [];
+
+  for (const m of text.matchAll(ONE_LETTER)) {
+    if (text[m.index + 1] !== from) continue;
+    const letter = m[0].toLowerCase();
+    const occurrence = seen[letter] ?? 0;
+    seen[letter] = occurrence + 1;
+
+    // binding a unit or a formula variable to the next word is wrong
+    if (from === " " && FAMILY[letter]) {
+      const next = readNextWord(text, m.index + 1);
+      if (classifyStandalone(text, m.index, next?.word) !== "preposition") continue;
+    }
+    found.push({ offset: m.index, letter, occurrence, original: m[0] });
+  }
+  return found;
+}
+
+// swap the space after each found letter in plain text (comments)
+export function swapSpacesInText(text, found, to) {
+  const chars = text.split("");
+  for (const f of found) chars[f.offset + 1] = to;
+  return chars.join("");
+}
+
+// ─────────────────────────────────────────────────
+// Public API
+// ─────────────────────────────────────────────────
+/**
+ * Check a piece of plain text, typically one paragraph.
+ * @param {string} text
+ * @param {Object} [rules] — as for inspectText: exceptions, ignored,
+ *   families and pronunciations
+ * @returns {{inspected:number, findings:Array<{offset:number, original:string,
+ *   replacement:string, nextWord:string, reason:string, ignoreKey:string,
+ *   ambiguous?:boolean, context:string, contextOffset:number}>}}
+ *   offset is the preposition's index in `text`; ambiguous findings keep
+ *   the letter as their replacement
+ */
+export function checkText(text, rules) {
+  const { inspected, mismatches } = inspectText(text, rules);
+  return {
+    inspected,
+    findings: mismatches.map((m) => ({ ...m, ...sentenceAt(text, m.offset) })),
+  };
+}
+
+/**
+ * Correct every mismatch in a piece of plain text. Ambiguous cases are
+ * left as written.
+ * @param {string} text
+ * @param {Object} [rules] — as for checkText
+ * @returns {{text:string, fixed:number}}
+ */
+export function fixText(text, rules) {
+  const mismatches = findMismatchesInText(text, rules);
+  return { text: applyToText(text, mismatches), fixed: mismatches.length };
+}
@@ -0,0 +1,104 @@
+import { isSpokenSymbol } from "./pronunciation.js";
+
+// ─────────────────────────────────────────────────
+// Tokenizer: find the word a preposition governs in paragraph text.
+// Skips opening quotes and brackets ("z »Delom«", "s (kratkim) rokom",
+// "k „Hiši“"), line breaks, tabs and the invisible characters Word
+// leaves at field and hyperlink boundaries. When the next thing is not
+// a word ("s – ", end of a paragraph or table cell) the preposition is
+// reported as ambiguous rather than guessed.
+// ─────────────────────────────────────────────────
+
+// spaces of every width, tabs and line breaks (Word uses \v for Shift+Enter)
+const SPACE = /\s/;
+
+// zero-width and formatting characters that carry no sound
+const INVISIBLE = /[\u00AD\u200B-\u200D\u2060\uFFFC]/u;
+
+// field begin/separator/end marks, in case the host leaves them in
+const FIELD_BEGIN = "\u0013";
+const FIELD_SEPARATOR = "\u0014";
+const FIELD_END = "\u0015";
+
+// end of a table cell or row
+const CELL_END = "\u0007";
+
+// opening quotes and brackets, Slovene and typographic
+const OPENING = /[»„“"'‚‘«‹([{]/u;
+
+// closing punctuation trimmed off the end of a word ("Delom«,")
+const TRAILING = /[»«“”„"'’‘‚›‹)\]},;:!?…]+$/u;
+
+// spaces that group thousands ("1 000"), and a number grouped with them so far
+const GROUP_SPACE = /[ \u00A0\u202F]/;
+const GROUPED_SO_FAR = /^\d{1,3}(?:[ \u00A0\u202F]\d{3})*$/;
+
+// dashes that stand alone between spaces ("s – ")
+const DASHES = /^[-‐‑‒–—―−]+$/u;
+
+/**
+ * Read the word that follows a preposition.
+ * @param {string} text — paragraph, cell or comment text
+ * @param {number} start — index just after the preposition letter
+ * @returns {{word:string, offset:number}|{ambiguous:string}|null}
+ *   the word (trailing punctuation trimmed, ordinal dots kept) and where
+ *   it starts; `ambiguous` with a Slovene reason when no word can be
+ *   told; null when the letter is not followed by a space at all
+ */
+export function nextWord(text, start) {
+  let i = start;
+
+  // a preposition is always followed by some kind of space
+  const first = text[i];
+  if (first !== undefined && first !== CELL_END && first !== FIELD_BEGIN && !SPACE.test(first)) {
+    return null;
+  }
+
+  for (;;) {
+    const ch = text[i];
+    if (ch === undefined || ch === CELL_END) {
+      return { ambiguous: "na koncu odstavka ali celice" };
+    }
+    if (ch === FIELD_BEGIN) {
+      // skip the field code and read its result
+      const sep = text.indexOf(FIELD_SEPARATOR, i);
+      const end = text.indexOf(FIELD_END, i);
+      i = sep >= 0 && (end < 0 || sep < end) ? sep + 1 : Math.max(end, i) + 1;
+      continue;
+    }
+    if (SPACE.test(ch) || OPENING.test(ch) || ch === FIELD_END || INVISIBLE.test(ch)) {
+      i++;
+      continue;
+    }
+    break;
+  }
+
+  // the token runs to the next space or field mark, except a space
+  // that groups thousands: "1 000" is one number
+  let end = i;
+  while (
+    end < text.length &&
+    text[end] !== CELL_END &&
+    text[end] !== FIELD_BEGIN &&
+    text[end] !== FIELD_END
+  ) {
+    if (SPACE.test(text[end])) {
+      const grouping =
+        GROUP_SPACE.test(text[end]) &&
+        GROUPED_SO_FAR.test(text.slice(i, end)) &&
+        /^\d{3}(?!\d)/.test(text.slice(end + 1, end + 5));
+      if (!grouping) break;
+    }
+    end++;
+  }
+  const token = text.slice(i, end).replace(new RegExp(INVISIBLE, "gu"), "");
+
+  if (DASHES.test(token)) return { ambiguous: "pred pomišljajem" };
+
+  const word = token.replace(TRAILING, "");
+  // §, % and & are punctuation to Unicode, but they are read aloud
+  if (!/^[\p{L}\p{N}\p{S}]/u.test(word) && !isSpokenSymbol(word[0])) {
+    return { ambiguous: "pred ločilom" };
+  }
+  return { word, offset: i };
+}
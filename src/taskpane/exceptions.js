@@ -0,0 +1,78 @@
+/* global document */
+
+import {
+  loadIgnored,
+  removeIgnored,
+  loadExceptions,
+  addException,
+  removeException,
+  loadPronunciations,
+  addPronunciation,
+  removePronunciation,
+} from "../commands/exceptions.js";
+
+// ─────────────────────────────────────────────────
+// Exceptions view: ignored occurrences, personal word forms and pronunciations
+// ─────────────────────────────────────────────────
+const $ = (id) => document.getElementById(id);
+
+// one list row with a remove button
+function row(label, onRemove) {
+  const li = document.createElement("li");
+  const text = document.createElement("span");
+  text.textContent = label;
+
+  const button = document.createElement("button");
+  button.className = "ms-Button ms-Button--small";
+  button.textContent = "Odstrani";
+  button.onclick = async () => {
+    await onRemove();
+    renderExceptions();
+  };
+
+  li.append(text, button);
+  return li;
+}
+
+/**
+ * Redraw the lists from what is stored.
+ */
+export function renderExceptions() {
+  const ignored = loadIgnored();
+  $("ignoredList").replaceChildren(
+    ...ignored.map((e) => row(e.context, () => removeIgnored(e.key)))
+  );
+  $("ignoredEmpty").hidden = ignored.length > 0;
+
+  const exceptions = Object.entries(loadExceptions());
+  $("exceptionList").replaceChildren(
+    ...exceptions.map(([word, prep]) => row(`${prep} ${word}`, () => removeException(word)))
+  );
+  $("exceptionEmpty").hidden = exceptions.length > 0;
+
+  const pronunciations = Object.entries(loadPronunciations());
+  $("pronunciationList").replaceChildren(
+    ...pronunciations.map(([stem, spoken]) =>
+      row(`${stem} → ${spoken}`, () => removePronunciation(stem))
+    )
+  );
+  $("pronunciationEmpty").hidden = pronunciations.length > 0;
+}
+
+export function initExceptions() {
+  $("addExceptionButton").onclick = () => {
+    const input = $("exceptionWord");
+    addException(input.value, $("exceptionPrep").value);
+    input.value = "";
+    renderExceptions();
+  };
+
+  $("addPronunciationButton").onclick = () => {
+    addPronunciation($("pronunciationStem").value, $("pronunciationSpoken").value);
+    $("pronunciationStem").value = "";
+    $("pronunciationSpoken").value = "";
+    renderExceptions();
+  };
+
+  renderExceptions();
+}
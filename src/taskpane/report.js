@@ -0,0 +1,123 @@
+/* global document, Blob, URL */
+
+import { STORY_LABELS } from "../commands/preposition.js";
+
+// ─────────────────────────────────────────────────
+// Check report: statistics plus every finding, exportable for QA
+// ─────────────────────────────────────────────────
+let report = null;
+
+const $ = (id) => document.getElementById(id);
+
+const TYPE_OF = { s: "sz", z: "sz", k: "kh", h: "kh" };
+
+/**
+ * Summarise a check result.
+ * @param {{inspected:number, findings:Array}} result — from checkDocumentText()
+ * @returns {Object} plain data, safe to serialise
+ */
+export function buildReport({ inspected, findings }) {
+  const byType = { sz: 0, kh: 0 };
+  const byStory = {};
+  let ambiguous = 0;
+  for (const f of findings) {
+    if (f.ambiguous) ambiguous++;
+    else byType[TYPE_OF[f.letter]]++;
+    byStory[f.story] = (byStory[f.story] || 0) + 1;
+  }
+
+  return {
+    generatedAt: new Date().toISOString(),
+    inspected,
+    mismatches: findings.length - ambiguous,
+    ambiguous,
+    byType,
+    byStory,
+    findings: findings.map((f) => ({
+      story: f.story,
+      // 1-based, as a reader counts paragraphs; absent for comments
+      paragraph: f.paragraphIndex === undefined ? null : f.paragraphIndex + 1,
+      original: f.original,
+      // null where the next word could not be told
+      replacement: f.ambiguous ? null : f.replacement,
+      context: f.context,
+      reason: f.reason,
+    })),
+  };
+}
+
+function csvCell(value) {
+  const text = value === null || value === undefined ? "" : String(value);
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * @param {Object} data — from buildReport()
+ * @returns {string} one row per finding, with a header row
+ */
+export function reportToCsv(data) {
+  const header = ["story", "paragraph", "original", "replacement", "context", "reason"];
+  const rows = data.findings.map((f) => header.map((key) => csvCell(f[key])).join(","));
+  return [header.join(","), ...rows].join("\n");
+}
+
+function download(filename, type, content) {
+  const url = URL.createObjectURL(new Blob([content], { type }));
+  const link = document.createElement("a");
+  link.href = url;
+  link.download = filename;
+  link.click();
+  URL.revokeObjectURL(url);
+}
+
+function statRow(label, value) {
+  const tr = document.createElement("tr");
+  const th = document.createElement("th");
+  const td = document.createElement("td");
+  th.textContent = label;
+  td.textContent = value;
+  tr.append(th, td);
+  return tr;
+}
+
+/**
+ * Show the report for a finished check.
+ * @param {{inspected:number, findings:Array}} result
+ */
+export function showReport(result) {
+  report = buildReport(result);
+  $("report").hidden = false;
+
+  $("reportStats").replaceChildren(
+    statRow("Pregledani predlogi", report.inspected),
+    statRow("Neujemanja", report.mismatches),
+    statRow("Nejasni primeri", report.ambiguous),
+    statRow("S/Z", report.byType.sz),
+    statRow("K/H", report.byType.kh),
+    ...Object.entries(report.byStory).map(([story, n]) => statRow(STORY_LABELS[story] || story, n))
+  );
+
+  $("reportFindings").replaceChildren(
+    ...report.findings.map((f) => {
+      const li = document.createElement("li");
+      const where = f.paragraph
+        ? `${STORY_LABELS[f.story]}, odstavek ${f.paragraph}`
+        : STORY_LABELS[f.story];
+      const fix = f.replacement === null ? f.reason : `${f.original} → ${f.replacement}`;
+      li.textContent = `${where}: ${fix} — ${f.context}`;
+      return li;
+    })
+  );
+}
+
+export function initReport() {
+  $("exportCsvButton").onclick = () => {
+    // a BOM so spreadsheet apps read č, š and ž correctly
+    if (report)
+      download("predlogi-porocilo.csv", "text/csv;charset=utf-8", "\uFEFF" + reportToCsv(report));
+  };
+  $("exportJsonButton").onclick = () => {
+    if (report)
+      download("predlogi-porocilo.json", "application/json", JSON.stringify(report, null, 2));
+  };
+}
@@ -0,0 +1,140 @@
+/* global document */
+
+import {
+  selectFinding,
+  acceptFinding,
+  ignoreFinding,
+  liveFindings,
+  STORY_LABELS,
+} from "../commands/preposition.js";
+import { renderExceptions } from "./exceptions.js";
+
+// ─────────────────────────────────────────────────
+// Review list: step through findings one at a time
+// ─────────────────────────────────────────────────
+let findings = [];
+let current = 0;
+
+const $ = (id) => document.getElementById(id);
+
+/**
+ * Replace the review list with a fresh set of findings.
+ * @param {Array} list — findings from checkDocumentText()
+ */
+export function showFindings(list) {
+  findings = list.slice();
+  current = 0;
+  render();
+}
+
+/**
+ * Swap in the findings of re-checked paragraphs (live mode), keeping
+ * the list in document order and the cursor on the finding it was on
+ * where possible.
+ * @param {{paragraphIds:string[], findings:Array, order?:string[]}} update
+ *   order: the body's paragraph ids in document order
+ */
+export function updateFindings({ paragraphIds, findings: fresh, order = [] }) {
+  const ids = new Set(paragraphIds);
+  const onId = findings[current]?.id;
+  const rank = new Map(order.map((id, i) => [id, i]));
+  const inBody = (f) => rank.has(f.paragraphId);
+
+  findings = findings.filter((f) => !ids.has(f.paragraphId));
+
+  // each before the first finding further down the body, else after the
+  // body's last one (headers, notes and comments follow the body)
+  for (const f of fresh) {
+    let at = findings.length;
+    if (inBody(f)) {
+      const later = findings.findIndex(
+        (k) => inBody(k) && rank.get(k.paragraphId) > rank.get(f.paragraphId)
+      );
+      const last = findings.findLastIndex(inBody);
+      at = later >= 0 ? later : last + 1;
+    }
+    findings.splice(at, 0, f);
+  }
+
+  const at = findings.findIndex((f) => f.id === onId);
+  current = at >= 0 ? at : Math.min(current, Math.max(0, findings.length - 1));
+  render();
+}
+
+/**
+ * Drop findings that no longer stand, e.g. after the selection's marks
+ * were accepted or rejected.
+ */
+export async function pruneFindings() {
+  const onId = findings[current]?.id;
+  findings = await liveFindings(findings);
+
+  const at = findings.findIndex((f) => f.id === onId);
+  current = at >= 0 ? at : Math.min(current, Math.max(0, findings.length - 1));
+  render();
+}
+
+function render() {
+  const section = $("review");
+  section.hidden = false;
+
+  const empty = !findings.length;
+  $("reviewEmpty").hidden = !empty;
+  $("reviewItem").hidden = empty;
+  $("reviewCount").textContent = empty ? "0 / 0" : `${current + 1} / ${findings.length}`;
+
+  for (const id of ["prevButton", "nextButton", "acceptOneButton", "ignoreOneButton"]) {
+    $(id).disabled = empty;
+  }
+  if (empty) return;
+
+  const f = findings[current];
+  $("reviewStory").textContent = STORY_LABELS[f.story] || f.story;
+  // an ambiguous finding has nothing to accept, only to look at or ignore
+  $("reviewFix").textContent = f.ambiguous ? f.reason : `${f.original} → ${f.replacement}`;
+  $("acceptOneButton").disabled = Boolean(f.ambiguous);
+
+  // rebuild the context line with the preposition emphasised
+  const ctx = $("reviewContext");
+  const at = f.contextOffset;
+  const mark = document.createElement("mark");
+  mark.textContent = f.original;
+  ctx.replaceChildren(f.context.slice(0, at), mark, f.context.slice(at + f.original.length));
+}
+
+// drop the current finding and keep the cursor on a valid index
+function dropCurrent() {
+  findings.splice(current, 1);
+  if (current >= findings.length) current = Math.max(0, findings.length - 1);
+}
+
+// select the current finding, dropping any that vanished from the document
+async function goTo(index) {
+  while (findings.length) {
+    current = (index + findings.length) % findings.length;
+    if (await selectFinding(findings[current])) break;
+    dropCurrent();
+    index = current;
+  }
+  render();
+}
+
+export function initReview() {
+  $("prevButton").onclick = () => goTo(current - 1);
+  $("nextButton").onclick = () => goTo(current + 1);
+
+  $("acceptOneButton").onclick = async () => {
+    if (!findings.length) return;
+    await acceptFinding(findings[current]);
+    dropCurrent();
+    await goTo(current);
+  };
+
+  $("ignoreOneButton").onclick = async () => {
+    if (!findings.length) return;
+    await ignoreFinding(findings[current]);
+    renderExceptions();
+    dropCurrent();
+    await goTo(current);
+  };
+}
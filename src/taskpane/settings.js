@@ -0,0 +1,55 @@
+/* global document */
+
+import { STORY_GROUPS, recolorMarks } from "../commands/preposition.js";
+import { loadSettings, saveSettings } from "../commands/settings.js";
+
+// ─────────────────────────────────────────────────
+// Settings view: rule families, scanned stories, mark colour and
+// whether Accept All asks first. Saved per user as soon as changed.
+// ─────────────────────────────────────────────────
+const $ = (id) => document.getElementById(id);
+
+// keep a list setting in step with its checkboxes
+function bindList(boxes, key) {
+  const settings = loadSettings();
+  for (const box of boxes) {
+    box.checked = settings[key].includes(box.value);
+    box.onchange = () =>
+      saveSettings({ [key]: boxes.filter((b) => b.checked).map((b) => b.value) });
+  }
+}
+
+function storyBox(group, label) {
+  const wrapper = document.createElement("label");
+  wrapper.className = "ms-font-m";
+  const box = document.createElement("input");
+  box.type = "checkbox";
+  box.value = group;
+  wrapper.append(box, ` ${label}`);
+  return wrapper;
+}
+
+export function initSettings() {
+  const settings = loadSettings();
+
+  bindList([...document.querySelectorAll('input[name="family"]')], "families");
+
+  const stories = Object.entries(STORY_GROUPS).map(([group, label]) => storyBox(group, label));
+  $("storyOptions").append(...stories);
+  bindList(
+    stories.map((wrapper) => wrapper.firstChild),
+    "stories"
+  );
+
+  const color = $("highlightColorSelect");
+  color.value = settings.highlightColor;
+  color.onchange = async () => {
+    saveSettings({ highlightColor: color.value });
+    // marks already in the document take the new colour too
+    await recolorMarks(color.value);
+  };
+
+  const confirm = $("confirmAcceptAllToggle");
+  confirm.checked = settings.confirmAcceptAll;
+  confirm.onchange = () => saveSettings({ confirmAcceptAll: confirm.checked });
+}
@@ -1,24 +1,149 @@
-/* global document, Office */
+/* global console, document, Office */
 
 import {
   checkDocumentText,
   acceptAllChanges,
-  rejectAllChanges
+  rejectAllChanges,
+  checkSelectionText,
+  acceptSelectionChanges,
+  rejectSelectionChanges,
+  insertNonBreakingSpaces,
+  removeNonBreakingSpaces,
+  isLiveCheckSupported,
 } from "../commands/preposition.js";
+import { startLiveCheck, stopLiveCheck } from "../commands/live.js";
+import { loadSettings, saveSettings } from "../commands/settings.js";
+import { initReview, showFindings, updateFindings, pruneFindings } from "./review.js";
+import { initExceptions } from "./exceptions.js";
+import { initReport, showReport } from "./report.js";
+import { initSettings } from "./settings.js";
+import { ACCEPT_ALL_QUESTION } from "../commands/dialog.js";
 
-Office.onReady(info => {
+// run a long command with the progress bar showing
+async function withProgress(command) {
+  const bar = document.getElementById("scanProgress");
+  bar.removeAttribute("value");
+  bar.hidden = false;
+  try {
+    return await command({
+      onProgress: (done, total) => {
+        bar.max = Math.max(total, 1);
+        bar.value = done;
+      },
+    });
+  } finally {
+    bar.hidden = true;
+  }
+}
+
+// ask inline before Accept All, if the settings say so
+function confirmAcceptAll() {
+  if (!loadSettings().confirmAcceptAll) return Promise.resolve(true);
+
+  const panel = document.getElementById("acceptAllConfirm");
+  document.getElementById("acceptAllQuestion").textContent = ACCEPT_ALL_QUESTION;
+  panel.hidden = false;
+  return new Promise((resolve) => {
+    const answer = (yes) => () => {
+      panel.hidden = true;
+      resolve(yes);
+    };
+    document.getElementById("confirmYesButton").onclick = answer(true);
+    document.getElementById("confirmNoButton").onclick = answer(false);
+  });
+}
+
+Office.onReady((info) => {
   if (info.host === Office.HostType.Word) {
-    // “Check S/Z”
-    document.getElementById("checkTextButton").onclick = async () => {
-      await checkDocumentText();
+    initReview();
+    initExceptions();
+    initReport();
+    initSettings();
+
+    // full or selection check: review list plus report
+    const runCheck = async (check = checkDocumentText) => {
+      const result = await withProgress(check);
+      showFindings(result.findings);
+      showReport(result);
+    };
+
+    // “Tracked changes” / “Comments” toggles
+    const settings = loadSettings();
+    for (const [id, key] of [
+      ["trackChangesToggle", "trackChanges"],
+      ["addCommentsToggle", "addComments"],
+    ]) {
+      const box = document.getElementById(id);
+      box.checked = settings[key];
+      box.onchange = () => saveSettings({ [key]: box.checked });
+    }
+
+    // “Live checking”: one full check, then paragraph by paragraph
+    const live = document.getElementById("liveCheckToggle");
+    const setLive = async (on) => {
+      try {
+        if (on) {
+          await runCheck();
+          await startLiveCheck(updateFindings);
+        } else {
+          await stopLiveCheck();
+        }
+      } catch (e) {
+        console.error("setLive error", e);
+        // live mode did not start; don't leave it looking (or saved as) on
+        if (on) {
+          live.checked = false;
+          saveSettings({ liveCheck: false });
+        }
+      }
+    };
+    live.disabled = !isLiveCheckSupported();
+    live.checked = settings.liveCheck && !live.disabled;
+    live.onchange = async () => {
+      saveSettings({ liveCheck: live.checked });
+      await setLive(live.checked);
     };
+    if (live.checked) setLive(true);
+
+    // “Check S/Z”
+    document.getElementById("checkTextButton").onclick = () => runCheck();
     // “Accept All”
     document.getElementById("acceptAllButton").onclick = async () => {
-      await acceptAllChanges();
+      if (!(await confirmAcceptAll())) return;
+      await withProgress(acceptAllChanges);
+      showFindings([]);
     };
     // “Reject All”
     document.getElementById("rejectAllButton").onclick = async () => {
       await rejectAllChanges();
+      showFindings([]);
+    };
+
+    // the same three, on the selection only
+    document.getElementById("checkSelectionButton").onclick = () => runCheck(checkSelectionText);
+    document.getElementById("acceptSelectionButton").onclick = async () => {
+      await withProgress(acceptSelectionChanges);
+      await pruneFindings();
+    };
+    document.getElementById("rejectSelectionButton").onclick = async () => {
+      await rejectSelectionChanges();
+      await pruneFindings();
+    };
+
+    // non-breaking spaces after one-letter words, and back
+    const result = document.getElementById("spacesResult");
+    const runSpaces = (command, label) => async () => {
+      const count = await withProgress(command);
+      result.textContent = `${label}: ${count}`;
+      result.hidden = false;
     };
+    document.getElementById("insertSpacesButton").onclick = runSpaces(
+      insertNonBreakingSpaces,
+      "Vstavljenih nedeljivih presledkov"
+    );
+    document.getElementById("removeSpacesButton").onclick = runSpaces(
+      removeNonBreakingSpaces,
+      "Povrnjenih navadnih presledkov"
+    );
   }
 });
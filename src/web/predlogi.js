@@ -0,0 +1,233 @@
+/* global document, window, setTimeout, clearTimeout, Event */
+
+import { checkText, fixText } from "../engine/rules.js";
+import { addPronunciations } from "../engine/pronunciation.js";
+import { readText, checkParagraphs, nodeAt, findingRects } from "./text.js";
+
+// ─────────────────────────────────────────────────
+// Browser library: the add-in's rules on <textarea> and contenteditable
+// elements outside Word, e.g. in a CMS. Mismatches are underlined in a
+// layer over the page, so the editor's own DOM is never touched; a click
+// on one opens a popover with a one-click fix.
+//
+//   <script src="predlogi.js"></script>
+//   <script>Predlogi.attach(document.querySelector("textarea"));</script>
+// ─────────────────────────────────────────────────
+export { checkText, fixText, addPronunciations };
+
+const STYLE_ID = "predlogi-style";
+
+const CSS = `
+.predlogi-layer { position: absolute; top: 0; left: 0; pointer-events: none; z-index: 2147483000; }
+.predlogi-underline { position: absolute; height: 2px; background: #d13438; }
+.predlogi-underline--ambiguous { background: repeating-linear-gradient(90deg, #ca5010 0 3px, transparent 3px 5px); }
+.predlogi-popover { position: absolute; z-index: 2147483001; max-width: 280px; padding: 8px 10px;
+  background: #fff; border: 1px solid #c8c6c4; box-shadow: 0 2px 8px rgba(0, 0, 0, 0.2);
+  font: 13px/1.4 "Segoe UI", system-ui, sans-serif; color: #323130; }
+.predlogi-popover button { margin: 6px 6px 0 0; font: inherit; }
+`;
+
+// wait this long after the last keystroke before checking again
+const DEBOUNCE_MS = 300;
+
+function injectStyle() {
+  if (document.getElementById(STYLE_ID)) return;
+  const style = document.createElement("style");
+  style.id = STYLE_ID;
+  style.textContent = CSS;
+  document.head.append(style);
+}
+
+function button(label, onClick) {
+  const el = document.createElement("button");
+  el.type = "button";
+  el.textContent = label;
+  // keep the focus (and the selection) in the editor
+  el.onmousedown = (event) => event.preventDefault();
+  el.onclick = onClick;
+  return el;
+}
+
+/**
+ * Check a textarea or contenteditable element as the user types.
+ * @param {HTMLElement} element
+ * @param {{families?:Array<"sz"|"kh">, exceptions?:Object<string,string>,
+ *   pronunciations?:Object<string,string>}} [options]
+ *   rule families to check (both by default), personal word form →
+ *   preposition exceptions and stem → respelling pronunciations, as in
+ *   the add-in's settings. Predlogi.addPronunciations extends the
+ *   lexicon for every element at once.
+ * @returns {{check:() => Array, detach:() => void}} check runs at once and
+ *   returns the findings; detach removes the underlines and listeners
+ */
+export function attach(element, { families, exceptions, pronunciations } = {}) {
+  injectStyle();
+
+  // occurrences the user chose to leave alone, for this page's lifetime
+  const ignored = new Set();
+  const rules = { families, exceptions, pronunciations, ignored };
+
+  const layer = document.createElement("div");
+  layer.className = "predlogi-layer";
+  document.body.append(layer);
+
+  let state = { findings: [], pieces: null, rects: [] };
+  let popover = null;
+  let timer = null;
+
+  function closePopover() {
+    popover?.remove();
+    popover = null;
+  }
+
+  // underline every finding where it is drawn right now
+  function draw() {
+    const { findings, pieces } = state;
+    state.rects = findingRects(element, findings, pieces);
+    const box = element.getBoundingClientRect();
+
+    layer.replaceChildren();
+    state.rects.forEach((rects, i) => {
+      for (const r of rects) {
+        // scrolled out of view inside the element
+        if (r.bottom < box.top || r.top > box.bottom || r.right < box.left || r.left > box.right)
+          continue;
+        const line = document.createElement("div");
+        line.className = findings[i].ambiguous
+          ? "predlogi-underline predlogi-underline--ambiguous"
+          : "predlogi-underline";
+        Object.assign(line.style, {
+          left: `${r.left + window.scrollX}px`,
+          top: `${r.bottom + window.scrollY - 1}px`,
+          width: `${Math.max(r.width, 6)}px`,
+        });
+        layer.append(line);
+      }
+    });
+  }
+
+  function check() {
+    clearTimeout(timer);
+    closePopover();
+    const { text, pieces } = readText(element);
+    state = { findings: checkParagraphs(text, rules), pieces, rects: [] };
+    draw();
+    return state.findings;
+  }
+
+  function schedule() {
+    clearTimeout(timer);
+    timer = setTimeout(check, DEBOUNCE_MS);
+  }
+
+  // replace the letter by typing over it, so the editor records an undo step
+  function fix(finding) {
+    const { offset, original, replacement } = finding;
+
+    if (state.pieces) {
+      const at = nodeAt(state.pieces, offset);
+      if (at && at.node.data[at.offset] === original) {
+        const range = document.createRange();
+        range.setStart(at.node, at.offset);
+        range.setEnd(at.node, at.offset + 1);
+        const selection = window.getSelection();
+        selection.removeAllRanges();
+        selection.addRange(range);
+        if (!document.execCommand("insertText", false, replacement)) {
+          at.node.replaceData(at.offset, 1, replacement);
+          element.dispatchEvent(new Event("input", { bubbles: true }));
+        }
+      }
+    } else if (element.value[offset] === original) {
+      element.focus();
+      element.setSelectionRange(offset, offset + 1);
+      if (!document.execCommand("insertText", false, replacement)) {
+        element.setRangeText(replacement, offset, offset + 1, "end");
+        element.dispatchEvent(new Event("input", { bubbles: true }));
+      }
+    }
+
+    check();
+  }
+
+  function openPopover(finding, rect) {
+    closePopover();
+    popover = document.createElement("div");
+    popover.className = "predlogi-popover";
+
+    const message = document.createElement("div");
+    message.textContent = finding.ambiguous
+      ? finding.reason
+      : `${finding.original} → ${finding.replacement}: ${finding.reason}`;
+    popover.append(message);
+
+    if (!finding.ambiguous) popover.append(button("Popravi", () => fix(finding)));
+    popover.append(
+      button("Prezri", () => {
+        ignored.add(finding.ignoreKey);
+        check();
+      })
+    );
+
+    Object.assign(popover.style, {
+      left: `${rect.left + window.scrollX}px`,
+      top: `${rect.bottom + window.scrollY + 4}px`,
+    });
+    document.body.append(popover);
+  }
+
+  // the layer lets clicks through; find the underlined letter under the pointer
+  function onClick(event) {
+    const hit = (rects) =>
+      rects.some(
+        (r) =>
+          event.clientX >= r.left - 2 &&
+          event.clientX <= r.right + 2 &&
+          event.clientY >= r.top &&
+          event.clientY <= r.bottom + 3
+      );
+    const i = state.rects.findIndex(hit);
+    if (i < 0) closePopover();
+    else openPopover(state.findings[i], state.rects[i][0]);
+  }
+
+  function onOutside(event) {
+    if (popover && !popover.contains(event.target) && event.target !== element) closePopover();
+  }
+
+  function onKey(event) {
+    if (event.key === "Escape") closePopover();
+  }
+
+  function onMove() {
+    closePopover();
+    draw();
+  }
+
+  element.addEventListener("input", schedule);
+  element.addEventListener("click", onClick);
+  element.addEventListener("keydown", onKey);
+  element.addEventListener("scroll", onMove);
+  // scrolling any ancestor moves the element too
+  window.addEventListener("scroll", onMove, true);
+  window.addEventListener("resize", onMove);
+  document.addEventListener("mousedown", onOutside);
+
+  check();
+
+  return {
+    check,
+    detach() {
+      clearTimeout(timer);
+      closePopover();
+      layer.remove();
+      element.removeEventListener("input", schedule);
+      element.removeEventListener("click", onClick);
+      element.removeEventListener("keydown", onKey);
+      element.removeEventListener("scroll", onMove);
+      window.removeEventListener("scroll", onMove, true);
+      window.removeEventListener("resize", onMove);
+      document.removeEventListener("mousedown", onOutside);
+    },
+  };
+}
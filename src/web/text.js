@@ -0,0 +1,181 @@
+/* global document, window, getComputedStyle, Node */
+
+import { checkText } from "../engine/rules.js";
+
+// ─────────────────────────────────────────────────
+// Text and geometry of the elements the browser library checks: read
+// their text as paragraphs, find the mismatches, and tell where on
+// screen each preposition is drawn.
+// ─────────────────────────────────────────────────
+
+// block-level elements end a paragraph, like Word's paragraph marks
+const BLOCK =
+  /^(P|DIV|LI|H[1-6]|BLOCKQUOTE|PRE|TD|TH|TR|UL|OL|TABLE|SECTION|ARTICLE|HEADER|FOOTER)$/;
+
+/**
+ * Read a contenteditable element's text, with "\n" between blocks.
+ * @param {HTMLElement} root
+ * @returns {{text:string, pieces:Array<{node:Text, start:number}>}}
+ *   pieces map offsets in `text` back to the text nodes they came from
+ */
+function readEditable(root) {
+  const pieces = [];
+  let text = "";
+
+  const walk = (node) => {
+    for (const child of node.childNodes) {
+      if (child.nodeType === Node.TEXT_NODE) {
+        pieces.push({ node: child, start: text.length });
+        text += child.data;
+      } else if (child.nodeName === "BR") {
+        text += "\n";
+      } else if (child.nodeType === Node.ELEMENT_NODE) {
+        const block = BLOCK.test(child.nodeName);
+        if (block && text && !text.endsWith("\n")) text += "\n";
+        walk(child);
+        if (block && !text.endsWith("\n")) text += "\n";
+      }
+    }
+  };
+  walk(root);
+
+  return { text, pieces };
+}
+
+/**
+ * Read an element's text: a textarea's value or a contenteditable's nodes.
+ * @param {HTMLElement} element
+ */
+export function readText(element) {
+  return element instanceof window.HTMLTextAreaElement
+    ? { text: element.value, pieces: null }
+    : readEditable(element);
+}
+
+/**
+ * Check text paragraph by paragraph, so a preposition at the end of a
+ * line is ambiguous here just as at the end of a paragraph in Word.
+ * @param {string} text
+ * @param {Object} rules — as for checkText in the engine
+ * @returns {Array} findings, with offsets into the whole text
+ */
+export function checkParagraphs(text, rules) {
+  const findings = [];
+  let start = 0;
+  for (const line of text.split("\n")) {
+    for (const f of checkText(line, rules).findings) {
+      findings.push({ ...f, offset: start + f.offset });
+    }
+    start += line.length + 1;
+  }
+  return findings;
+}
+
+/**
+ * The text node and offset within it for an offset into readEditable()'s text.
+ * @returns {{node:Text, offset:number}|null}
+ */
+export function nodeAt(pieces, offset) {
+  for (const { node, start } of pieces) {
+    if (offset >= start && offset < start + node.data.length) {
+      return { node, offset: offset - start };
+    }
+  }
+  return null;
+}
+
+// styles a mirror copies so its text wraps exactly like the textarea's
+const MIRRORED = [
+  "boxSizing",
+  "width",
+  "height",
+  "overflowX",
+  "overflowY",
+  "borderTopWidth",
+  "borderRightWidth",
+  "borderBottomWidth",
+  "borderLeftWidth",
+  "borderStyle",
+  "paddingTop",
+  "paddingRight",
+  "paddingBottom",
+  "paddingLeft",
+  "fontStyle",
+  "fontVariant",
+  "fontWeight",
+  "fontStretch",
+  "fontSize",
+  "fontFamily",
+  "lineHeight",
+  "textAlign",
+  "textTransform",
+  "textIndent",
+  "letterSpacing",
+  "wordSpacing",
+  "tabSize",
+  "direction",
+];
+
+/**
+ * Where each finding's letter is drawn in a textarea, measured on an
+ * invisible copy laid over it.
+ * @param {HTMLTextAreaElement} textarea
+ * @param {Array<{offset:number}>} findings
+ * @returns {DOMRect[][]} client rectangles per finding
+ */
+function textareaRects(textarea, findings) {
+  const mirror = document.createElement("div");
+  const style = getComputedStyle(textarea);
+  for (const prop of MIRRORED) mirror.style[prop] = style[prop];
+
+  const box = textarea.getBoundingClientRect();
+  Object.assign(mirror.style, {
+    position: "absolute",
+    visibility: "hidden",
+    whiteSpace: "pre-wrap",
+    overflowWrap: "break-word",
+    top: `${box.top + window.scrollY}px`,
+    left: `${box.left + window.scrollX}px`,
+  });
+
+  // the text with every finding's letter in its own span
+  const text = textarea.value;
+  const spans = [];
+  let at = 0;
+  for (const f of findings) {
+    mirror.append(text.slice(at, f.offset));
+    const span = document.createElement("span");
+    span.textContent = text[f.offset];
+    mirror.append(span);
+    spans.push(span);
+    at = f.offset + 1;
+  }
+  mirror.append(text.slice(at) + "\n");
+
+  document.body.append(mirror);
+  mirror.scrollTop = textarea.scrollTop;
+  mirror.scrollLeft = textarea.scrollLeft;
+  const rects = spans.map((span) => [...span.getClientRects()]);
+  mirror.remove();
+  return rects;
+}
+
+/**
+ * Client rectangles of each finding's letter, as currently drawn.
+ * @param {HTMLElement} element
+ * @param {Array<{offset:number}>} findings
+ * @param {Array|null} pieces — from readText()
+ * @returns {DOMRect[][]}
+ */
+export function findingRects(element, findings, pieces) {
+  if (!pieces) return textareaRects(element, findings);
+
+  const range = document.createRange();
+  return findings.map((f) => {
+    const at = nodeAt(pieces, f.offset);
+    if (!at) return [];
+    range.setStart(at.node, at.offset);
+    range.setEnd(at.node, at.offset + 1);
+    return [...range.getClientRects()];
+  });
+}
@@ -0,0 +1,38 @@
+/* global describe, test, expect */
+
+import { readParagraphs } from "../src/cli/docx.js";
+
+// ─────────────────────────────────────────────────
+// .docx paragraphs as plain text, the way Word reports them
+// ─────────────────────────────────────────────────
+
+const run = inner => `<w:r>${inner}</w:r>`;
+const para = (inner, props = "") => `<w:p>${props}${inner}</w:p>`;
+
+// description, part XML, paragraph texts
+const PARTS = [
+  ["plain runs",
+    para(run("<w:t>Kava </w:t>") + run("<w:t>z mlekom</w:t>")),
+    ["Kava z mlekom"]],
+  ["a tab and a line break in the runs",
+    para(run("<w:t>a</w:t><w:tab/><w:t>b</w:t><w:br/><w:t>c</w:t>")),
+    ["a\tb\vc"]],
+  ["tab stops in the paragraph properties are not tabs",
+    para(run("<w:t>z mlekom</w:t>"),
+      '<w:pPr><w:tabs><w:tab w:val="left" w:pos="720"/></w:tabs></w:pPr>'),
+    ["z mlekom"]],
+  ["a field code is skipped, its result read",
+    para(run('<w:fldChar w:fldCharType="begin"/>') + run("<w:instrText>PAGE</w:instrText>")
+      + run('<w:fldChar w:fldCharType="separate"/>') + run("<w:t>5</w:t>")
+      + run('<w:fldChar w:fldCharType="end"/>')),
+    ["5"]],
+  ["entities are decoded",
+    para(run("<w:t>s &amp; z</w:t>")),
+    ["s & z"]]
+];
+
+describe("readParagraphs", () => {
+  test.each(PARTS)("%s", (description, xml, texts) => {
+    expect(readParagraphs(xml).paragraphs.map(p => p.text)).toEqual(texts);
+  });
+});
@@ -0,0 +1,103 @@
+/* global describe, test, expect */
+
+import { readNumber, cardinalWords, ordinalWords } from "../src/engine/numbers.js";
+import { fixText } from "../src/engine/rules.js";
+
+// ─────────────────────────────────────────────────
+// Slovene number reader: token → spoken words → preposition
+// ─────────────────────────────────────────────────
+
+// the s/z and k/h the rules pick for `token`, starting from the wrong one of each pair
+function prepositions(token) {
+  return [fixText(`z ${token}`).text[0], fixText(`k ${token}`).text[0]];
+}
+
+// token, spoken form, s/z, k/h
+const TOKENS = [
+  // cardinals
+  ["0",           "nič",                              "z", "k"],
+  ["1",           "ena",                              "z", "k"],
+  ["2",           "dva",                              "z", "k"],
+  ["4",           "štiri",                            "s", "k"],
+  ["5",           "pet",                              "s", "k"],
+  ["6",           "šest",                             "s", "k"],
+  ["8",           "osem",                             "z", "k"],
+  ["11",          "enajst",                           "z", "k"],
+  ["21",          "enaindvajset",                     "z", "k"],
+  ["40",          "štirideset",                       "s", "k"],
+  ["100",         "sto",                              "s", "k"],
+  ["200",         "dvesto",                           "z", "k"],
+  ["1000",        "tisoč",                            "s", "k"],
+  ["2000000000",  "dve milijardi",                    "z", "k"],
+  // years
+  ["1991",        "tisoč devetsto enaindevetdeset",   "s", "k"],
+  ["2020",        "dva tisoč dvajset",                "z", "k"],
+  // ordinals
+  ["7.",          "sedmi",                            "s", "k"],
+  ["1.",          "prvi",                             "s", "k"],
+  ["2.",          "drugi",                            "z", "k"],
+  ["3.",          "tretji",                           "s", "k"],
+  ["101.",        "sto prvi",                         "s", "k"],
+  ["1000.",       "tisoči",                           "s", "k"],
+  // thousands separators
+  ["1.000",       "tisoč",                            "s", "k"],
+  ["1.000.000",   "milijon",                          "z", "k"],
+  ["1 000",       "tisoč",                            "s", "k"],
+  ["1\u00A0000",  "tisoč",                            "s", "k"],
+  ["1\u202F000",  "tisoč",                            "s", "k"],
+  ["2 500 000",   "dva milijona petsto tisoč",        "z", "k"],
+  // decimals
+  ["3,5",         "tri cele pet",                     "s", "k"],
+  ["0,05",        "nič celih nič pet",                "z", "k"],
+  ["1.5",         "ena cela pet",                     "z", "k"],
+  // percentages and per mille
+  ["5%",          "pet odstotkov",                    "s", "k"],
+  ["5 %",         "pet odstotkov",                    "s", "k"],
+  ["2%",          "dva odstotka",                     "z", "k"],
+  ["2,5‰",        "dve celi pet promila",             "z", "k"],
+  // ranges
+  ["5–7",         "pet do sedem",                     "s", "k"],
+  ["8-10",        "osem do deset",                    "z", "k"],
+  // too long to read as a number: digit by digit
+  ["12345678901234", "ena dva tri štiri pet šest sedem osem devet nič ena dva tri štiri", "z", "k"]
+];
+
+describe("readNumber", () => {
+  test.each(TOKENS)("%s is read »%s«", (token, spoken) => {
+    expect(readNumber(token)).toBe(spoken);
+  });
+
+  test.each(["", "abc", "§", "FDV"])("%p is not a number", token => {
+    expect(readNumber(token)).toBeNull();
+  });
+});
+
+describe("preposition before a number", () => {
+  test.each(TOKENS)("%s (»%s«) takes %s and %s", (token, spoken, sz, kh) => {
+    expect(prepositions(token)).toEqual([sz, kh]);
+  });
+});
+
+// n, cardinal, ordinal
+const WORDS = [
+  [0,          "nič",                             "ničti"],
+  [1,          "ena",                             "prvi"],
+  [4,          "štiri",                           "četrti"],
+  [10,         "deset",                           "deseti"],
+  [15,         "petnajst",                        "petnajsti"],
+  [21,         "enaindvajset",                    "enaindvajseti"],
+  [100,        "sto",                             "stoti"],
+  [300,        "tristo",                          "tristoti"],
+  [1000,       "tisoč",                           "tisoči"],
+  [1991,       "tisoč devetsto enaindevetdeset",  "tisoč devetsto enaindevetdeseti"],
+  [2000000,    "dva milijona",                    "dva milijonti"],
+  [5000000,    "pet milijonov",                   "pet milijonti"],
+  [1000000000, "milijarda",                       "milijardti"]
+];
+
+describe("cardinalWords and ordinalWords", () => {
+  test.each(WORDS)("%i is »%s«, ordinal »%s«", (n, cardinal, ordinal) => {
+    expect(cardinalWords(n)).toBe(cardinal);
+    expect(ordinalWords(n)).toBe(ordinal);
+  });
+});
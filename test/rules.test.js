@@ -0,0 +1,93 @@
+/* global describe, test, expect */
+
+import { checkText, fixText } from "../src/engine/rules.js";
+import { addPronunciations } from "../src/engine/pronunciation.js";
+
+// ─────────────────────────────────────────────────
+// Rule engine on whole sentences: how many prepositions are judged
+// and what the text looks like once every mismatch is corrected
+// ─────────────────────────────────────────────────
+
+// text, prepositions inspected, text after fixing
+const SENTENCES = [
+  ["Kava z 100 gramov sladkorja.",   1, "Kava s 100 gramov sladkorja."],
+  ["Tekmoval je z 7. mestom.",       1, "Tekmoval je s 7. mestom."],
+  ["Ostal je z 1991 glasovi.",       1, "Ostal je s 1991 glasovi."],
+  ["Rast s 3,5 na 4 odstotke.",      1, "Rast s 3,5 na 4 odstotke."],
+  ["Popust z 5 % na vse.",           1, "Popust s 5 % na vse."],
+  ["Izbira z 5–7 možnostmi.",        1, "Izbira s 5–7 možnostmi."],
+  ["Šel je k gori.",                 1, "Šel je h gori."],
+  ["Prišel je h očetu.",             1, "Prišel je k očetu."],
+  ["Delo s FDV in z SAZU.",          2, "Delo z FDV in s SAZU."],
+  // symbols are read by name, even those Unicode calls punctuation
+  ["Skladno z § 5.",                 1, "Skladno s § 5."],
+  ["Rast s % na leto.",              1, "Rast z % na leto."],
+  ["Kava s & mleko.",                1, "Kava z & mleko."],
+  // thousands grouped with a space stay one number
+  ["Plačal je s 1 000 evri.",        1, "Plačal je s 1 000 evri."],
+  ["Plačal je z 1\u00A0000 evri.",   1, "Plačal je s 1\u00A0000 evri."],
+  // a letter after an apostrophe belongs to the word before it
+  ["It's s Petrom.",                 1, "It's s Petrom."],
+  ["It’s z Petrom.",                 1, "It’s s Petrom."],
+  // units, list markers and formulas are not prepositions
+  ["Traja 5 s.",                     0, "Traja 5 s."],
+  ["Vožnja traja 3,5 h.",            0, "Vožnja traja 3,5 h."],
+  // only s and h are units; k and z after a number are prepositions
+  ["Leta 1991 k babici.",            1, "Leta 1991 k babici."],
+  ["Leta 2020 z ženo.",              1, "Leta 2020 z ženo."],
+  ["Leta 1991 k gori.",              1, "Leta 1991 h gori."],
+  ["Traja 5 s in pol.",              0, "Traja 5 s in pol."],
+  // an s or h after a number that governs a word is checked, but never fixed
+  ["Leta 2020 s prijatelji.",        1, "Leta 2020 s prijatelji."],
+  ["Leta 2020 h očetu.",             1, "Leta 2020 h očetu."],
+  ["Vozi 120 km/h.",                 0, "Vozi 120 km/h."],
+  ["h) točka",                       0, "h) točka"],
+  ["x = k + 1",                      0, "x = k + 1"],
+  ["Pot je 2*k.",                    0, "Pot je 2*k."],
+  ["k·t",                            0, "k·t"],
+  // a spaced hyphen or asterisk is a dash or a bullet, not an operator
+  ["- z avtom",                      1, "- z avtom"],
+  ["- s avtom",                      1, "- z avtom"],
+  ["* s Petrom gre",                 1, "* s Petrom gre"],
+  ["Izlet - z avtom.",               1, "Izlet - z avtom."],
+  ["Kava s - mlekom",                1, "Kava s - mlekom"]
+];
+
+describe("checkText and fixText", () => {
+  test.each(SENTENCES)("%s", (text, inspected, fixed) => {
+    expect(checkText(text).inspected).toBe(inspected);
+    expect(fixText(text).text).toBe(fixed);
+  });
+});
+
+// text, why the preposition can't be decided
+const AMBIGUOUS = [
+  ["Šel sem k",       "na koncu odstavka ali celice"],
+  ["Kava s – mlekom", "pred pomišljajem"],
+  ["Kava s - mlekom", "pred pomišljajem"],
+  ["Leta 2020 h očetu.", "za številom je lahko enota"],
+  ["Kava s , mlekom", "pred ločilom"]
+];
+
+describe("ambiguous prepositions", () => {
+  test.each(AMBIGUOUS)("%s", (text, reason) => {
+    const [finding] = checkText(text).findings;
+    expect(finding.ambiguous).toBe(true);
+    expect(finding.reason).toContain(reason);
+    expect(fixText(text).text).toBe(text);
+  });
+});
+
+describe("pronunciations", () => {
+  test("the user's entries change the decision for this check only", () => {
+    const pronunciations = { joaquin: "hoakin" };
+    expect(fixText("Plesal je z Joaquinom.", { pronunciations }).text).toBe("Plesal je s Joaquinom.");
+    expect(fixText("Plesal je z Joaquinom.").text).toBe("Plesal je z Joaquinom.");
+  });
+
+  test("addPronunciations extends the lexicon for every later check", () => {
+    expect(fixText("Pojdi k gnocchijem.").text).toBe("Pojdi h gnocchijem.");
+    addPronunciations({ gnocchi: "njoki" });
+    expect(fixText("Pojdi k gnocchijem.").text).toBe("Pojdi k gnocchijem.");
+  });
+});
@@ -0,0 +1,27 @@
+const path    = require("path");
+const webpack = require("webpack");
+
+// the command-line checker: the rule engine bundled for Node
+module.exports = (env, options) => {
+  const dev = options.mode === "development";
+  return {
+    mode: dev ? "development" : "production",
+    devtool: dev ? "inline-source-map" : false,
+    target: "node",
+
+    entry: { predlogi: "./src/cli/predlogi.js" },
+
+    output: {
+      path: path.resolve(__dirname, "dist"),
+      filename: "[name].js",
+      clean: true,
+    },
+
+    resolve: { extensions: [".js"] },
+
+    plugins: [
+      // run as `predlogi` once installed, or `node dist/predlogi.js`
+      new webpack.BannerPlugin({ banner: "#!/usr/bin/env node", raw: true }),
+    ],
+  };
+};
@@ -14,6 +14,14 @@ module.exports = (env, options) => {
     entry: {
       taskpane: "./src/taskpane/taskpane.js",
       commands: "./src/commands/commands.js",
+      confirm: "./src/dialog/confirm.js",
+
+      // standalone browser library for textareas and rich-text editors,
+      // exposed as the global `Predlogi`
+      predlogi: {
+        import: "./src/web/predlogi.js",
+        library: { name: "Predlogi", type: "umd" },
+      },
     },
 
     output: {
@@ -52,6 +60,22 @@ module.exports = (env, options) => {
         publicPath: urlProd,
       }),
 
+      // the yes/no dialog ribbon commands open
+      new HtmlWebpackPlugin({
+        filename: "confirm.html",
+        template: "./src/dialog/confirm.html",
+        chunks: ["confirm"],
+        publicPath: urlProd,
+      }),
+
+      // a page to try the browser library on
+      new HtmlWebpackPlugin({
+        filename: "predlogi-demo.html",
+        template: "./src/web/demo.html",
+        chunks: ["predlogi"],
+        publicPath: urlProd,
+      }),
+
       // copy over assets, manifest, css, and all static pages
       new CopyWebpackPlugin({
         patterns: [